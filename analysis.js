@@ -3,13 +3,37 @@
  * Performs statistical analysis on Fantasy Premier League player data
  */
 
-const { getAllPlayerIds, getPlayerData, getAllFixtures } = require('./requests');
+const { getAllPlayerIds, getPlayerData, getAllFixtures, getBootstrapData } = require('./requests');
+const { getAvailability, filterByAvailability, getAvailabilityWeight, AVAILABILITY_MODES } = require('./availability');
+const { MinutesModel } = require('./minutes_model');
+
+// Minutes needed before per-90 underlying stats are ranked, so a single cameo can't top the table
+const MIN_XGI_MINUTES = 270;
+
+const round2 = value => parseFloat(value.toFixed(2));
+
+/**
+ * Find a player by id, exact web name or part of their full name
+ */
+function findPlayer(players, query) {
+    const needle = String(query).toLowerCase();
+    const player = /^\d+$/.test(needle)
+        ? players.find(p => p.id === parseInt(needle, 10))
+        : players.find(p => p.web_name.toLowerCase() === needle) ||
+            players.find(p => `${p.first_name} ${p.second_name}`.toLowerCase().includes(needle));
+    if (!player) throw new Error(`No player matching "${query}"`);
+    return player;
+}
 
 class FPLAnalyzer {
     constructor() {
         this.allPlayersData = null;
         this.fixtures = null;
         this.bootstrapData = null;
+        this.projectionModel = null;
+        this.projectionHorizon = 1;
+        this.availabilityMode = 'exclude';
+        this.minutesModel = null;
     }
 
     /**
@@ -32,11 +56,11 @@ class FPLAnalyzer {
      */
     async loadBootstrapData() {
         try {
-            const response = await fetch('https://fantasy.premierleague.com/api/bootstrap-static/');
-            const data = await response.json();
+            const data = await getBootstrapData();
             
             this.bootstrapData = data;
             this.allPlayersData = data.elements; // All player data
+            this.minutesModel = new MinutesModel(data); // Season totals until histories are loaded
             
             console.log(`Loaded data for ${this.allPlayersData.length} players`);
         } catch (error) {
@@ -46,51 +70,128 @@ class FPLAnalyzer {
     }
 
     /**
-     * Check if player is currently a regular starter based on recent playing time
+     * Attach an ExpectedPointsModel so ranking methods can rank by xP (rankBy = 'xp')
+     */
+    setProjectionModel(model, gameweeksAhead = 1) {
+        this.projectionModel = model;
+        this.projectionHorizon = gameweeksAhead;
+    }
+
+    /**
+     * Use already-loaded data instead of fetching it (e.g. a reconstructed past gameweek)
+     */
+    useData(bootstrapData, fixtures) {
+        this.bootstrapData = bootstrapData;
+        this.allPlayersData = bootstrapData.elements;
+        this.fixtures = fixtures;
+        this.minutesModel = new MinutesModel(bootstrapData);
+        return this;
+    }
+
+    /**
+     * Share a MinutesModel (e.g. one with histories already loaded) instead of the default
+     */
+    setMinutesModel(model) {
+        this.minutesModel = model;
+    }
+
+    /**
+     * How ranking methods treat injured and doubtful players:
+     * 'exclude' (default), 'weight' by chance of playing, or 'ignore'
+     */
+    setAvailabilityMode(mode) {
+        if (!AVAILABILITY_MODES.includes(mode)) {
+            throw new Error(`Unknown availability mode "${mode}" (use ${AVAILABILITY_MODES.join(', ')})`);
+        }
+        this.availabilityMode = mode;
+    }
+
+    /**
+     * Players ranking methods consider under the availability mode
+     */
+    getRankingPool() {
+        return filterByAvailability(this.allPlayersData, this.availabilityMode);
+    }
+
+    /**
+     * Ranking metric scaled by chance of playing in 'weight' mode
+     * (not used for xP, which already includes the chance of playing)
+     */
+    weightedMetric(player, value) {
+        return value * getAvailabilityWeight(player, this.availabilityMode);
+    }
+
+    /**
+     * Helper method to add an availability column when doubtful players are weighted in
+     */
+    getAvailabilityField(player) {
+        if (this.availabilityMode !== 'weight') return {};
+        return { availability: getAvailability(player).label };
+    }
+
+    /**
+     * Expected points for a player over the projection horizon
+     */
+    getExpectedPoints(player) {
+        if (!this.projectionModel) {
+            throw new Error("Ranking by 'xp' needs a projection model, see setProjectionModel()");
+        }
+        return this.projectionModel.getExpectedPoints(player.id, this.projectionHorizon);
+    }
+
+    /**
+     * Check if player is currently a regular starter, from the minutes model's start record
      */
     isRegularStarter(player) {
-        // Require minimum games played
-        if (player.minutes < 450) return false; // At least 5 full games
-        
-        // Calculate average minutes per appearance
-        // A regular starter should average 60+ minutes per game
-        const estimatedGamesPlayed = Math.max(1, Math.ceil(player.minutes / 90));
-        const avgMinutesPerGame = player.minutes / estimatedGamesPlayed;
-        
-        // Check form to ensure they're playing recently
-        // Form > 0 indicates they've played in recent gameweeks
-        const hasRecentPlayingTime = parseFloat(player.form) !== 0 || player.minutes >= 1800;
-        
-        return avgMinutesPerGame >= 60 && hasRecentPlayingTime;
+        return this.minutesModel.isRegularStarter(player);
     }
 
     /**
      * Get top scorers by total points
      */
-    getTopScorers(limit = 10) {
-        const topScorers = this.allPlayersData
-            .sort((a, b) => b.total_points - a.total_points)
+    getTopScorers(limit = 10, rankBy = 'points') {
+        const topScorers = this.getRankingPool()
+            .sort(rankBy === 'xp'
+                ? (a, b) => this.getExpectedPoints(b) - this.getExpectedPoints(a)
+                : (a, b) => this.weightedMetric(b, b.total_points) - this.weightedMetric(a, a.total_points))
             .slice(0, limit)
             .map(player => ({
+                id: player.id,
                 name: `${player.first_name} ${player.second_name}`,
                 webName: player.web_name,
                 totalPoints: player.total_points,
                 pointsPerGame: parseFloat(player.points_per_game),
                 form: parseFloat(player.form),
                 cost: player.now_cost / 10, // Convert to actual price
-                selectedBy: parseFloat(player.selected_by_percent)
+                selectedBy: parseFloat(player.selected_by_percent),
+                ...this.getExpectedPointsField(player, rankBy),
+                ...this.getAvailabilityField(player)
             }));
 
         return topScorers;
     }
 
     /**
-     * Get best value players (points per million)
+     * Get best value players (points per million, expected points per million with rankBy = 'xp',
+     * or xGI per million with rankBy = 'xgi')
      */
-    getBestValuePlayers(limit = 10) {
-        const valuePlayers = this.allPlayersData
+    getBestValuePlayers(limit = 10, rankBy = 'points') {
+        const valuePlayers = this.getRankingPool()
             .filter(player => this.isRegularStarter(player) && player.total_points > 20) // Currently playing regularly
-            .map(player => ({
+            .filter(player => player.now_cost / 10 > 4.0) // Filter out very cheap players
+            .map(player => {
+                const cost = player.now_cost / 10;
+                const expected = this.getExpectedPointsField(player, rankBy);
+                let value;
+                if (rankBy === 'xp') value = expected.expectedPoints / cost;
+                else if (rankBy === 'xgi') value = this.weightedMetric(player, this.getUnderlyingStats(player).xGIPerMillion);
+                else value = this.weightedMetric(player, player.total_points / cost);
+                return { player, expected, value };
+            })
+            .sort((a, b) => b.value - a.value)
+            .slice(0, limit)
+            .map(({ player, expected }) => ({
+                id: player.id,
                 name: `${player.first_name} ${player.second_name}`,
                 webName: player.web_name,
                 totalPoints: player.total_points,
@@ -98,11 +199,12 @@ class FPLAnalyzer {
                 pointsPerMillion: (player.total_points / (player.now_cost / 10)).toFixed(2),
                 form: parseFloat(player.form),
                 selectedBy: parseFloat(player.selected_by_percent),
-                minutes: player.minutes
-            }))
-            .filter(player => player.cost > 4.0) // Filter out very cheap players
-            .sort((a, b) => b.pointsPerMillion - a.pointsPerMillion)
-            .slice(0, limit);
+                minutes: player.minutes,
+                ...expected,
+                ...(rankBy === 'xp' && { xpPerMillion: (expected.expectedPoints / (player.now_cost / 10)).toFixed(2) }),
+                ...this.getUnderlyingStatsField(player, rankBy),
+                ...this.getAvailabilityField(player)
+            }));
 
         return valuePlayers;
     }
@@ -110,14 +212,17 @@ class FPLAnalyzer {
     /**
      * Get players by position
      */
-    getPlayersByPosition(position) {
+    getPlayersByPosition(position, rankBy = 'points') {
         // Position mapping: 1=GK, 2=DEF, 3=MID, 4=FWD
         const positionNames = { 1: 'Goalkeeper', 2: 'Defender', 3: 'Midfielder', 4: 'Forward' };
         
-        const players = this.allPlayersData
+        const players = this.getRankingPool()
             .filter(player => player.element_type === position)
-            .sort((a, b) => b.total_points - a.total_points)
+            .sort(rankBy === 'xp'
+                ? (a, b) => this.getExpectedPoints(b) - this.getExpectedPoints(a)
+                : (a, b) => this.weightedMetric(b, b.total_points) - this.weightedMetric(a, a.total_points))
             .map(player => ({
+                id: player.id,
                 name: `${player.first_name} ${player.second_name}`,
                 webName: player.web_name,
                 position: positionNames[player.element_type],
@@ -128,7 +233,9 @@ class FPLAnalyzer {
                 cost: player.now_cost / 10,
                 form: parseFloat(player.form),
                 minutes: player.minutes,
-                selectedBy: parseFloat(player.selected_by_percent)
+                selectedBy: parseFloat(player.selected_by_percent),
+                ...this.getExpectedPointsField(player, rankBy),
+                ...this.getAvailabilityField(player)
             }));
 
         return players;
@@ -137,19 +244,24 @@ class FPLAnalyzer {
     /**
      * Get players in best form (last 5 games)
      */
-    getBestFormPlayers(limit = 10) {
-        const formPlayers = this.allPlayersData
+    getBestFormPlayers(limit = 10, rankBy = 'form') {
+        const formPlayers = this.getRankingPool()
             .filter(player => this.isRegularStarter(player) && player.total_points > 20) // Currently playing regularly with meaningful contributions
-            .sort((a, b) => parseFloat(b.form) - parseFloat(a.form))
+            .sort(rankBy === 'xp'
+                ? (a, b) => this.getExpectedPoints(b) - this.getExpectedPoints(a)
+                : (a, b) => this.weightedMetric(b, parseFloat(b.form)) - this.weightedMetric(a, parseFloat(a.form)))
             .slice(0, limit)
             .map(player => ({
+                id: player.id,
                 name: `${player.first_name} ${player.second_name}`,
                 webName: player.web_name,
                 form: parseFloat(player.form),
                 totalPoints: player.total_points,
                 cost: player.now_cost / 10,
                 minutes: player.minutes,
-                selectedBy: parseFloat(player.selected_by_percent)
+                selectedBy: parseFloat(player.selected_by_percent),
+                ...this.getExpectedPointsField(player, rankBy),
+                ...this.getAvailabilityField(player)
             }));
 
         return formPlayers;
@@ -243,6 +355,14 @@ class FPLAnalyzer {
         }
     }
 
+    /**
+     * Helper method to add an expectedPoints column when ranking by xP
+     */
+    getExpectedPointsField(player, rankBy) {
+        if (rankBy !== 'xp') return {};
+        return { expectedPoints: parseFloat(this.getExpectedPoints(player).toFixed(2)) };
+    }
+
     /**
      * Helper method to get position name
      */
@@ -261,28 +381,148 @@ class FPLAnalyzer {
 
     /**
      * Find differential picks (low ownership, high points)
+     * rankBy = 'xgi' ranks by xGI per 90 instead of total points
      */
-    getDifferentialPicks(maxOwnership = 5.0, minPoints = 50) {
-        const differentials = this.allPlayersData
+    getDifferentialPicks(maxOwnership = 5.0, minPoints = 50, rankBy = 'points') {
+        const metric = rankBy === 'xgi'
+            ? player => this.getUnderlyingStats(player).xGIPer90
+            : player => player.total_points;
+
+        const differentials = this.getRankingPool()
             .filter(player => 
                 parseFloat(player.selected_by_percent) <= maxOwnership && 
                 player.total_points >= minPoints &&
                 this.isRegularStarter(player) // Must be currently playing regularly
             )
-            .sort((a, b) => b.total_points - a.total_points)
+            .sort(rankBy === 'xp'
+                ? (a, b) => this.getExpectedPoints(b) - this.getExpectedPoints(a)
+                : (a, b) => this.weightedMetric(b, metric(b)) - this.weightedMetric(a, metric(a)))
             .map(player => ({
+                id: player.id,
                 name: `${player.first_name} ${player.second_name}`,
                 webName: player.web_name,
                 totalPoints: player.total_points,
                 cost: player.now_cost / 10,
                 ownership: parseFloat(player.selected_by_percent),
                 form: parseFloat(player.form),
-                position: this.getPositionName(player.element_type)
+                position: this.getPositionName(player.element_type),
+                ...this.getExpectedPointsField(player, rankBy),
+                ...this.getUnderlyingStatsField(player, rankBy),
+                ...this.getAvailabilityField(player)
             }));
 
         return differentials;
     }
 
+    /**
+     * Season expected goals (xG), assists (xA), involvements (xGI) and goals conceded (xGC),
+     * per 90 and per million, and how far actual output is ahead of or behind them
+     */
+    getUnderlyingStats(player) {
+        const xG = parseFloat(player.expected_goals) || 0;
+        const xA = parseFloat(player.expected_assists) || 0;
+        // Some payloads leave xGI at zero, so fall back to xG + xA
+        const xGI = parseFloat(player.expected_goal_involvements) || xG + xA;
+        const xGC = parseFloat(player.expected_goals_conceded) || 0;
+        const nineties = player.minutes / 90;
+        const cost = player.now_cost / 10;
+
+        return {
+            xG: round2(xG),
+            xA: round2(xA),
+            xGI: round2(xGI),
+            xGC: round2(xGC),
+            xGIPer90: nineties > 0 ? round2(xGI / nineties) : 0,
+            xGCPer90: nineties > 0 ? round2(xGC / nineties) : 0,
+            xGIPerMillion: round2(xGI / cost),
+            goalDelta: round2(player.goals_scored - xG),
+            assistDelta: round2(player.assists - xA),
+            involvementDelta: round2(player.goals_scored + player.assists - xGI)
+        };
+    }
+
+    /**
+     * Regular starters with enough minutes for their underlying stats to mean something
+     */
+    getUnderlyingStatsPool() {
+        return this.getRankingPool()
+            .filter(player => player.minutes >= MIN_XGI_MINUTES && this.isRegularStarter(player));
+    }
+
+    /**
+     * Best underlying attacking output: xGI per 90 (per = '90') or per million (per = 'million')
+     */
+    getBestXGIPlayers(limit = 10, per = '90') {
+        const key = per === 'million' ? 'xGIPerMillion' : 'xGIPer90';
+
+        return this.getUnderlyingStatsPool()
+            .map(player => ({ player, stats: this.getUnderlyingStats(player) }))
+            .sort((a, b) => this.weightedMetric(b.player, b.stats[key]) - this.weightedMetric(a.player, a.stats[key]))
+            .slice(0, limit)
+            .map(({ player, stats }) => ({
+                id: player.id,
+                name: `${player.first_name} ${player.second_name}`,
+                webName: player.web_name,
+                position: this.getPositionName(player.element_type),
+                cost: player.now_cost / 10,
+                minutes: player.minutes,
+                goals: player.goals_scored,
+                assists: player.assists,
+                xG: stats.xG,
+                xA: stats.xA,
+                xGI: stats.xGI,
+                xGIPer90: stats.xGIPer90,
+                xGIPerMillion: stats.xGIPerMillion,
+                selectedBy: parseFloat(player.selected_by_percent),
+                ...this.getAvailabilityField(player)
+            }));
+    }
+
+    /**
+     * Regression candidates: players whose goals + assists are furthest above
+     * (overperformers, likely to cool off) or below (underperformers, due a return) their xGI
+     */
+    getRegressionCandidates(limit = 10) {
+        const rows = this.getUnderlyingStatsPool()
+            .map(player => {
+                const stats = this.getUnderlyingStats(player);
+                return {
+                    id: player.id,
+                    name: `${player.first_name} ${player.second_name}`,
+                    webName: player.web_name,
+                    position: this.getPositionName(player.element_type),
+                    cost: player.now_cost / 10,
+                    goals: player.goals_scored,
+                    xG: stats.xG,
+                    assists: player.assists,
+                    xA: stats.xA,
+                    involvementDelta: stats.involvementDelta,
+                    selectedBy: parseFloat(player.selected_by_percent),
+                    ...this.getAvailabilityField(player)
+                };
+            });
+
+        return {
+            overperformers: rows
+                .filter(row => row.involvementDelta > 0)
+                .sort((a, b) => b.involvementDelta - a.involvementDelta)
+                .slice(0, limit),
+            underperformers: rows
+                .filter(row => row.involvementDelta < 0)
+                .sort((a, b) => a.involvementDelta - b.involvementDelta)
+                .slice(0, limit)
+        };
+    }
+
+    /**
+     * Helper method to add xGI columns when ranking by underlying stats
+     */
+    getUnderlyingStatsField(player, rankBy) {
+        if (rankBy !== 'xgi') return {};
+        const { xGI, xGIPer90, xGIPerMillion } = this.getUnderlyingStats(player);
+        return { xGI, xGIPer90, xGIPerMillion };
+    }
+
     /**
      * Print analysis results in a formatted way
      */
@@ -299,6 +539,7 @@ async function runAnalysis() {
     try {
         const analyzer = new FPLAnalyzer();
         await analyzer.initialize();
+        await analyzer.minutesModel.loadHistories();
 
         // Top scorers analysis
         const topScorers = analyzer.getTopScorers(10);
@@ -316,6 +557,14 @@ async function runAnalysis() {
         const differentials = analyzer.getDifferentialPicks(5.0, 40);
         analyzer.printAnalysis(differentials.slice(0, 10), 'DIFFERENTIAL PICKS (<5% ownership)');
 
+        // Underlying stats
+        const xgiPlayers = analyzer.getBestXGIPlayers(10);
+        analyzer.printAnalysis(xgiPlayers, 'BEST xGI PER 90');
+
+        const regression = analyzer.getRegressionCandidates(5);
+        analyzer.printAnalysis(regression.overperformers, 'OVERPERFORMING xGI (likely to cool off)');
+        analyzer.printAnalysis(regression.underperformers, 'UNDERPERFORMING xGI (due a return)');
+
         // Team analysis
         const teamStats = analyzer.analyzeTeamPerformance();
         analyzer.printAnalysis(teamStats.slice(0, 10), 'TEAM PERFORMANCE');
@@ -350,6 +599,7 @@ async function runAnalysis() {
 // Export the analyzer class and run function
 module.exports = {
     FPLAnalyzer,
+    findPlayer,
     runAnalysis
 };
 
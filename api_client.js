@@ -0,0 +1,284 @@
+/**
+ * FPL API Client
+ * Shared HTTP client for the FPL API with caching, retries, rate limiting and snapshot replay
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SnapshotStore } = require('./snapshots');
+
+const FPL_API_BASE = 'https://fantasy.premierleague.com/api/';
+const DEFAULT_CACHE_DIR = path.join(__dirname, '.cache', 'fpl');
+
+// Status codes worth retrying: rate limited or a server-side problem
+const RETRYABLE_STATUS = new Set([429, 500, 502, 503, 504]);
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class FPLClient {
+    constructor(options = {}) {
+        this.baseUrl = options.baseUrl || FPL_API_BASE;
+        this.concurrency = options.concurrency || parseInt(process.env.FPL_CONCURRENCY, 10) || 5;
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 4;
+        this.retryBaseDelay = options.retryBaseDelay !== undefined ? options.retryBaseDelay : 500; // ms, doubled per attempt
+        this.cacheTtl = options.cacheTtl !== undefined ? options.cacheTtl : 10 * 60 * 1000; // 10 minutes
+
+        // Pass cacheDir: null to keep the cache in memory only
+        this.cacheDir = options.cacheDir !== undefined
+            ? options.cacheDir
+            : (process.env.FPL_CACHE_DIR || DEFAULT_CACHE_DIR);
+
+        this.snapshotStore = options.snapshotStore || new SnapshotStore();
+        this.replaySnapshot = options.replaySnapshot || process.env.FPL_SNAPSHOT || null;
+
+        this.memoryCache = new Map();
+        this.inFlight = new Map();
+        this.failures = new Map();
+        this.activeRequests = 0;
+        this.waiting = [];
+        this.stats = { requests: 0, cacheHits: 0, notModified: 0, retries: 0 };
+    }
+
+    /**
+     * Serve all subsequent requests from a saved snapshot ('latest' picks the newest one)
+     */
+    useSnapshot(snapshotName) {
+        this.replaySnapshot = this.snapshotStore.resolveSnapshot(snapshotName);
+        console.log(`Replaying FPL data from snapshot "${this.replaySnapshot}"`);
+    }
+
+    /**
+     * Switch back to the live FPL API
+     */
+    useLiveApi() {
+        this.replaySnapshot = null;
+    }
+
+    /**
+     * Fetch a JSON endpoint, e.g. 'bootstrap-static/' or 'element-summary/12/'
+     * Options: ttl (ms) overrides the cache lifetime, fresh skips the cache entirely
+     */
+    async get(endpoint, options = {}) {
+        if (this.replaySnapshot) {
+            return this.snapshotStore.read(this.replaySnapshot, endpoint);
+        }
+
+        const ttl = options.ttl !== undefined ? options.ttl : this.cacheTtl;
+        const cached = options.fresh ? null : this.readCache(endpoint);
+
+        if (cached && Date.now() - cached.fetchedAt < ttl) {
+            this.stats.cacheHits++;
+            return cached.data;
+        }
+
+        // Share one request between callers asking for the same endpoint at once
+        if (this.inFlight.has(endpoint)) {
+            return this.inFlight.get(endpoint);
+        }
+
+        const request = this.request(endpoint, cached)
+            .finally(() => this.inFlight.delete(endpoint));
+        this.inFlight.set(endpoint, request);
+
+        return request;
+    }
+
+    /**
+     * Run a request inside a concurrency slot, retrying with exponential backoff
+     */
+    async request(endpoint, cached) {
+        await this.acquireSlot();
+
+        let attempt = 0;
+        let lastError = null;
+
+        try {
+            while (attempt <= this.maxRetries) {
+                attempt++;
+                try {
+                    const data = await this.fetchOnce(endpoint, cached);
+                    this.failures.delete(endpoint);
+                    return data;
+                } catch (error) {
+                    lastError = error;
+                    if (!error.retryable || attempt > this.maxRetries) break;
+
+                    const delay = error.retryAfter !== undefined
+                        ? error.retryAfter
+                        : this.retryBaseDelay * Math.pow(2, attempt - 1) + Math.random() * 100;
+                    this.stats.retries++;
+                    await sleep(delay);
+                }
+            }
+        } finally {
+            this.releaseSlot();
+        }
+
+        this.failures.set(endpoint, {
+            endpoint,
+            status: lastError.status || null,
+            error: lastError.message,
+            attempts: attempt,
+            failedAt: new Date().toISOString()
+        });
+        throw lastError;
+    }
+
+    /**
+     * Perform a single HTTP request, using a conditional request when a cached copy exists
+     */
+    async fetchOnce(endpoint, cached) {
+        const headers = {};
+        if (cached && cached.etag) headers['If-None-Match'] = cached.etag;
+        if (cached && cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+        this.stats.requests++;
+
+        let response;
+        try {
+            response = await fetch(`${this.baseUrl}${endpoint}`, { headers });
+        } catch (error) {
+            // Network failures (DNS, reset connections) are worth another try
+            error.retryable = true;
+            throw error;
+        }
+
+        if (response.status === 304 && cached) {
+            this.stats.notModified++;
+            this.writeCache(endpoint, { ...cached, fetchedAt: Date.now() });
+            return cached.data;
+        }
+
+        if (!response.ok) {
+            const error = new Error(`HTTP error! status: ${response.status}`);
+            error.status = response.status;
+            error.retryable = RETRYABLE_STATUS.has(response.status);
+
+            const retryAfter = parseInt(response.headers.get('retry-after'), 10);
+            if (response.status === 429 && !isNaN(retryAfter)) {
+                error.retryAfter = retryAfter * 1000;
+            }
+            throw error;
+        }
+
+        const data = await response.json();
+        this.writeCache(endpoint, {
+            data,
+            etag: response.headers.get('etag'),
+            lastModified: response.headers.get('last-modified'),
+            fetchedAt: Date.now()
+        });
+
+        return data;
+    }
+
+    /**
+     * Wait until fewer than `concurrency` requests are running
+     */
+    async acquireSlot() {
+        if (this.activeRequests < this.concurrency) {
+            this.activeRequests++;
+            return;
+        }
+        await new Promise(resolve => this.waiting.push(resolve));
+    }
+
+    releaseSlot() {
+        const next = this.waiting.shift();
+        if (next) {
+            next(); // Hand the slot straight to the next waiting request
+        } else {
+            this.activeRequests--;
+        }
+    }
+
+    /**
+     * Look up an endpoint in the memory cache, falling back to the disk cache
+     */
+    readCache(endpoint) {
+        if (this.memoryCache.has(endpoint)) {
+            return this.memoryCache.get(endpoint);
+        }
+
+        if (!this.cacheDir) return null;
+
+        const filePath = this.getCachePath(endpoint);
+        if (!fs.existsSync(filePath)) return null;
+
+        try {
+            const entry = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            this.memoryCache.set(endpoint, entry);
+            return entry;
+        } catch (error) {
+            return null; // Treat a corrupt cache file as a miss
+        }
+    }
+
+    writeCache(endpoint, entry) {
+        this.memoryCache.set(endpoint, entry);
+
+        if (!this.cacheDir) return;
+
+        try {
+            const filePath = this.getCachePath(endpoint);
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.writeFileSync(filePath, JSON.stringify(entry));
+        } catch (error) {
+            console.warn(`Could not write cache for ${endpoint}:`, error.message);
+        }
+    }
+
+    getCachePath(endpoint) {
+        const relative = endpoint.replace(/^\/+|\/+$/g, '');
+        return path.join(this.cacheDir, `${relative}.json`);
+    }
+
+    /**
+     * Drop cached responses from memory and disk
+     */
+    clearCache() {
+        this.memoryCache.clear();
+        if (this.cacheDir && fs.existsSync(this.cacheDir)) {
+            fs.rmSync(this.cacheDir, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * List requests that still failed after every retry
+     */
+    getFailureReport() {
+        return {
+            failed: Array.from(this.failures.values()),
+            stats: { ...this.stats }
+        };
+    }
+
+    clearFailures() {
+        this.failures.clear();
+    }
+}
+
+// Shared client used by requests.js and every analyzer
+let defaultClient = null;
+
+function getClient() {
+    if (!defaultClient) {
+        defaultClient = new FPLClient();
+    }
+    return defaultClient;
+}
+
+/**
+ * Replace the shared client, e.g. to change the concurrency limit or cache location
+ */
+function configureClient(options = {}) {
+    defaultClient = new FPLClient(options);
+    return defaultClient;
+}
+
+module.exports = {
+    FPL_API_BASE,
+    FPLClient,
+    getClient,
+    configureClient
+};
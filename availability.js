@@ -0,0 +1,227 @@
+/**
+ * FPL Player Availability
+ * Classifies player status and chance of playing, surfaces injury news,
+ * and detects availability changes between runs
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getBootstrapData, getReplaySnapshot } = require('./requests');
+
+// FPL status codes: a = available, d = doubtful, i = injured, s = suspended,
+// u = unavailable (left the club or on loan abroad), n = not eligible (on loan to a parent club's opponent)
+const STATUS_CLASSES = { a: 'available', d: 'doubtful', i: 'injured', s: 'suspended', u: 'unavailable', n: 'unavailable' };
+
+// Chance of playing used when the API doesn't give one
+const DEFAULT_CHANCE = { available: 1, doubtful: 0.5, injured: 0, suspended: 0, unavailable: 0 };
+
+/**
+ * How ranking methods treat players who may not play:
+ * 'exclude' keeps only fully available players, 'weight' drops ruled-out players and scales
+ * doubtful ones by their chance of playing, 'ignore' ranks everyone
+ */
+const AVAILABILITY_MODES = ['exclude', 'weight', 'ignore'];
+
+const DEFAULT_STATE_FILE = process.env.FPL_AVAILABILITY_STATE ||
+    path.join(__dirname, '.cache', 'availability-state.json');
+
+const toChance = value => (value !== null && value !== undefined ? value / 100 : null);
+
+/**
+ * Availability for one player: status class, chance of playing (0-1), news and when it was added
+ */
+function getAvailability(player) {
+    const status = STATUS_CLASSES[player.status] || 'available';
+    const nextRound = toChance(player.chance_of_playing_next_round);
+    const thisRound = toChance(player.chance_of_playing_this_round);
+    const chance = nextRound !== null ? nextRound : DEFAULT_CHANCE[status];
+
+    let label = status.charAt(0).toUpperCase() + status.slice(1);
+    if (status === 'doubtful') label += ` (${Math.round(chance * 100)}%)`;
+
+    return {
+        status,
+        chance,
+        chanceThisRound: thisRound !== null ? thisRound : chance,
+        label,
+        news: player.news || '',
+        newsAdded: player.news_added || null
+    };
+}
+
+/**
+ * Chance of playing the next round (0-1)
+ */
+function getChanceOfPlaying(player) {
+    return getAvailability(player).chance;
+}
+
+/**
+ * Players a ranking should consider under an availability mode
+ */
+function filterByAvailability(players, mode = 'exclude') {
+    if (!AVAILABILITY_MODES.includes(mode)) {
+        throw new Error(`Unknown availability mode "${mode}" (use ${AVAILABILITY_MODES.join(', ')})`);
+    }
+    if (mode === 'ignore') return players;
+    if (mode === 'exclude') return players.filter(player => getAvailability(player).status === 'available');
+    return players.filter(player => getChanceOfPlaying(player) > 0);
+}
+
+/**
+ * Multiplier for a ranking metric: the chance of playing in 'weight' mode, otherwise 1
+ */
+function getAvailabilityWeight(player, mode = 'exclude') {
+    return mode === 'weight' ? getChanceOfPlaying(player) : 1;
+}
+
+class AvailabilityTracker {
+    /**
+     * bootstrapData: bootstrap-static data; stateFile: where the last run's availability is kept
+     */
+    constructor(bootstrapData, stateFile = DEFAULT_STATE_FILE) {
+        this.bootstrapData = bootstrapData;
+        this.stateFile = stateFile;
+    }
+
+    /**
+     * Every player who isn't fully available, most recent news first
+     */
+    getFlaggedPlayers() {
+        return this.bootstrapData.elements
+            .map(player => ({ player, availability: getAvailability(player) }))
+            .filter(({ availability }) => availability.status !== 'available' || availability.chance < 1)
+            .map(({ player, availability }) => this.describe(player, availability))
+            .sort((a, b) => (b.newsAdded || '').localeCompare(a.newsAdded || ''));
+    }
+
+    describe(player, availability = getAvailability(player)) {
+        const team = this.bootstrapData.teams.find(t => t.id === player.team);
+        return {
+            id: player.id,
+            webName: player.web_name,
+            team: team ? team.name : 'Unknown',
+            status: availability.status,
+            availability: availability.label,
+            chance: availability.chance,
+            news: availability.news,
+            newsAdded: availability.newsAdded,
+            selectedBy: parseFloat(player.selected_by_percent)
+        };
+    }
+
+    /**
+     * Availability saved by the previous run, keyed by player id
+     */
+    loadPreviousState() {
+        if (!fs.existsSync(this.stateFile)) return null;
+        try {
+            return JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+        } catch (error) {
+            console.warn(`Ignoring unreadable availability state ${this.stateFile}:`, error.message);
+            return null;
+        }
+    }
+
+    saveState() {
+        const players = {};
+        this.bootstrapData.elements.forEach(player => {
+            const { status, chance, news } = getAvailability(player);
+            players[player.id] = { status, chance, news };
+        });
+
+        fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+        fs.writeFileSync(this.stateFile, JSON.stringify({ savedAt: new Date().toISOString(), players }));
+    }
+
+    /**
+     * Players whose status, chance of playing or news changed since the saved state
+     */
+    detectChanges(previousState = this.loadPreviousState()) {
+        if (!previousState) return { since: null, changes: [] };
+
+        const changes = this.bootstrapData.elements
+            .map(player => {
+                const before = previousState.players[player.id];
+                const now = getAvailability(player);
+                if (!before) return null;
+                if (before.status === now.status && before.chance === now.chance && before.news === now.news) return null;
+
+                return {
+                    ...this.describe(player, now),
+                    previousStatus: before.status,
+                    previousChance: before.chance,
+                    improved: now.chance > before.chance
+                };
+            })
+            .filter(Boolean);
+
+        return { since: previousState.savedAt, changes };
+    }
+
+    /**
+     * Display flagged players and changes since the last run
+     */
+    displayReport(flagged, changeReport) {
+        console.log('='.repeat(80));
+        console.log('PLAYER AVAILABILITY');
+        console.log('='.repeat(80));
+
+        if (changeReport.since) {
+            console.log(`\nCHANGES SINCE ${changeReport.since}:`);
+            if (changeReport.changes.length === 0) console.log('No changes.');
+            changeReport.changes.forEach(change => {
+                const arrow = change.improved ? '↑' : '↓';
+                console.log(`${arrow} ${change.webName.padEnd(15)} ${change.previousStatus} -> ${change.availability.padEnd(16)} ${change.news}`);
+            });
+        } else {
+            console.log('\nNo previous run to compare against; changes will show from the next run.');
+        }
+
+        console.log(`\nFLAGGED PLAYERS (${flagged.length}):`);
+        console.table(flagged.map(p => ({
+            webName: p.webName,
+            team: p.team,
+            availability: p.availability,
+            news: p.news,
+            newsAdded: p.newsAdded ? p.newsAdded.slice(0, 16).replace('T', ' ') : ''
+        })));
+    }
+}
+
+/**
+ * Example usage: flagged players and availability changes since the last run
+ */
+async function runAvailability() {
+    try {
+        const tracker = new AvailabilityTracker(await getBootstrapData());
+
+        const changeReport = tracker.detectChanges();
+        const flagged = tracker.getFlaggedPlayers();
+        tracker.displayReport(flagged, changeReport);
+
+        // Replayed data isn't current, so only live runs become the baseline for the next comparison
+        if (!getReplaySnapshot()) tracker.saveState();
+
+        return { flagged, ...changeReport };
+
+    } catch (error) {
+        console.error('Availability check failed:', error.message);
+        throw error;
+    }
+}
+
+module.exports = {
+    AvailabilityTracker,
+    getAvailability,
+    getChanceOfPlaying,
+    filterByAvailability,
+    getAvailabilityWeight,
+    runAvailability,
+    AVAILABILITY_MODES
+};
+
+// Run availability check if this file is executed directly
+if (require.main === module) {
+    runAvailability();
+}
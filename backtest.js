@@ -0,0 +1,365 @@
+/**
+ * FPL Strategy Backtester
+ * Replays the season gameweek by gameweek: rebuilds what each ranking would have said at
+ * gameweek N from the data available then, and scores it against the points players
+ * actually went on to score in N+1..N+k
+ *
+ * Usage: node backtest.js [horizon] [limit] [fromGameweek]
+ */
+
+const { getBootstrapData, getAllFixtures, getPlayerData } = require('./requests');
+const { FPLAnalyzer } = require('./analysis');
+const { TeamDefenseAnalyzer, PlayerFixtureAnalyzer } = require('./team_analysis');
+
+const FORM_GAMEWEEKS = 4; // FPL form covers roughly the last 30 days
+const DEFAULT_TOTAL_PLAYERS = 10000000; // Used when bootstrap data has no total_players
+const DEFAULT_FROM_GAMEWEEK = 4; // Earlier gameweeks have too little history to rank on
+
+// Fields copied from today's bootstrap data into point-in-time elements; they don't change in-season
+const IDENTITY_FIELDS = ['id', 'code', 'first_name', 'second_name', 'web_name', 'team', 'team_code', 'element_type'];
+
+// Season totals rebuilt by summing history rows up to the gameweek
+const SUMMED_FIELDS = [
+    'total_points', 'minutes', 'starts', 'goals_scored', 'assists', 'clean_sheets', 'goals_conceded',
+    'own_goals', 'penalties_saved', 'penalties_missed', 'yellow_cards', 'red_cards', 'saves', 'bonus', 'bps'
+];
+
+// Decimal-string totals rebuilt the same way
+const SUMMED_DECIMAL_FIELDS = [
+    'influence', 'creativity', 'threat', 'ict_index',
+    'expected_goals', 'expected_assists', 'expected_goal_involvements', 'expected_goals_conceded'
+];
+
+/**
+ * Ranking strategies: each returns rows with an `id`, best first
+ * context: { analyzer, fixtureAnalyzer, gameweek }; horizon: gameweeks being predicted
+ */
+const STRATEGIES = {
+    topScorers: ({ analyzer }) => analyzer.getTopScorers(Infinity),
+    value: ({ analyzer }) => analyzer.getBestValuePlayers(Infinity),
+    form: ({ analyzer }) => analyzer.getBestFormPlayers(Infinity),
+    xgi: ({ analyzer }) => analyzer.getBestXGIPlayers(Infinity),
+    fixtures: ({ fixtureAnalyzer }, horizon) => Object.values(fixtureAnalyzer.analyzeTimeHorizon(horizon))
+        .flat()
+        .sort((a, b) => parseFloat(b.totalVulnerabilityScore) - parseFloat(a.totalVulnerabilityScore))
+};
+
+/**
+ * Ranks for a list of values (1 = smallest), ties sharing their average rank
+ */
+function averageRanks(values) {
+    const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+    const ranks = new Array(values.length);
+
+    for (let i = 0; i < order.length;) {
+        let j = i;
+        while (j + 1 < order.length && order[j + 1].value === order[i].value) j++;
+        const rank = (i + j) / 2 + 1;
+        for (let k = i; k <= j; k++) ranks[order[k].index] = rank;
+        i = j + 1;
+    }
+
+    return ranks;
+}
+
+/**
+ * Spearman rank correlation between two equal-length lists (null when undefined)
+ */
+function spearman(xs, ys) {
+    if (xs.length < 3) return null;
+
+    const rx = averageRanks(xs);
+    const ry = averageRanks(ys);
+    const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+    const mx = mean(rx);
+    const my = mean(ry);
+
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+    rx.forEach((x, i) => {
+        covariance += (x - mx) * (ry[i] - my);
+        varianceX += (x - mx) ** 2;
+        varianceY += (ry[i] - my) ** 2;
+    });
+
+    return varianceX > 0 && varianceY > 0 ? covariance / Math.sqrt(varianceX * varianceY) : null;
+}
+
+class Backtester {
+    /**
+     * Options: horizon (gameweeks scored after each ranking, default 3), limit (picks per ranking,
+     * default 20), from (first gameweek to rank at), strategies (name -> function, see STRATEGIES),
+     * defenseOptions ({ window, halfLife } for the fixtures strategy)
+     */
+    constructor(options = {}) {
+        this.horizon = options.horizon || 3;
+        this.limit = options.limit || 20;
+        this.from = options.from || DEFAULT_FROM_GAMEWEEK;
+        this.strategies = options.strategies || STRATEGIES;
+        this.defenseOptions = options.defenseOptions || {};
+
+        this.bootstrapData = null;
+        this.fixtures = null;
+        this.histories = {};
+        this.defenseAnalyzer = null;
+        this.allAppearances = [];
+    }
+
+    /**
+     * Fetch current data and every player's gameweek history
+     */
+    async initialize() {
+        console.log('Initializing backtester...');
+
+        this.bootstrapData = await getBootstrapData();
+        this.fixtures = await getAllFixtures();
+
+        await Promise.all(this.bootstrapData.elements.map(async player => {
+            try {
+                const data = await getPlayerData(player.id);
+                this.histories[player.id] = [...(data.history || [])].sort((a, b) => a.round - b.round);
+            } catch (error) {
+                this.histories[player.id] = [];
+            }
+        }));
+
+        // The defense analysis reads the same (now cached) histories; its appearances are
+        // filtered per gameweek later rather than refetched
+        this.defenseAnalyzer = new TeamDefenseAnalyzer();
+        await this.defenseAnalyzer.initialize();
+        await this.defenseAnalyzer.analyzeTeamDefense(this.defenseOptions);
+        this.allAppearances = this.defenseAnalyzer.appearances;
+
+        console.log('Backtester initialized!');
+    }
+
+    getLastFinishedGameweek() {
+        const finished = this.bootstrapData.events.filter(e => e.finished);
+        return finished.length > 0 ? Math.max(...finished.map(e => e.id)) : 0;
+    }
+
+    /**
+     * Bootstrap data and fixtures as they would have looked after gameweek `gameweek` finished
+     * Elements keep only identity fields from today's data; season totals, form, price and
+     * ownership are rebuilt from history rows up to that gameweek. Availability isn't recorded
+     * historically, so everyone counts as available
+     */
+    buildDataAt(gameweek) {
+        const totalPlayers = this.bootstrapData.total_players || DEFAULT_TOTAL_PLAYERS;
+        const formFrom = gameweek - Math.min(FORM_GAMEWEEKS, gameweek);
+
+        const elements = this.bootstrapData.elements.map(player => {
+            const rows = (this.histories[player.id] || []).filter(row => row.round <= gameweek);
+            const sum = (key, from = 0) => rows
+                .filter(row => row.round > from)
+                .reduce((total, row) => total + (parseFloat(row[key]) || 0), 0);
+            const last = rows[rows.length - 1];
+            const previous = last && [...rows].reverse().find(row => row.round < last.round);
+            const appearances = rows.filter(row => row.minutes > 0).length;
+
+            // Built from a whitelist rather than spreading today's element, so no later data leaks in
+            const element = {};
+            IDENTITY_FIELDS.forEach(key => { element[key] = player[key]; });
+            SUMMED_FIELDS.forEach(key => { element[key] = sum(key); });
+            SUMMED_DECIMAL_FIELDS.forEach(key => { element[key] = sum(key).toFixed(key.startsWith('expected') ? 2 : 1); });
+
+            return {
+                ...element,
+                points_per_game: (appearances > 0 ? element.total_points / appearances : 0).toFixed(1),
+                form: (sum('total_points', formFrom) / Math.max(1, gameweek - formFrom)).toFixed(1),
+                now_cost: last ? last.value : player.now_cost,
+                cost_change_event: last && previous ? last.value - previous.value : 0,
+                selected_by_percent: last ? (last.selected / totalPlayers * 100).toFixed(1) : '0.0',
+                transfers_in_event: last ? last.transfers_in || 0 : 0,
+                transfers_out_event: last ? last.transfers_out || 0 : 0,
+                status: 'a',
+                chance_of_playing_next_round: null,
+                chance_of_playing_this_round: null,
+                news: '',
+                news_added: null
+            };
+        });
+
+        const events = this.bootstrapData.events.map(event => ({
+            ...event,
+            finished: event.id <= gameweek,
+            is_previous: event.id === gameweek - 1,
+            is_current: event.id === gameweek,
+            is_next: event.id === gameweek + 1
+        }));
+
+        const fixtures = this.fixtures.map(fixture => (fixture.event && fixture.event > gameweek
+            ? { ...fixture, started: false, finished: false, finished_provisional: false, team_h_score: null, team_a_score: null, stats: [] }
+            : fixture));
+
+        return { bootstrapData: { ...this.bootstrapData, elements, events }, fixtures };
+    }
+
+    /**
+     * Analyzers loaded with the data available at a gameweek
+     */
+    buildContextAt(gameweek) {
+        const { bootstrapData, fixtures } = this.buildDataAt(gameweek);
+
+        const histories = {};
+        Object.keys(this.histories).forEach(id => {
+            histories[id] = this.histories[id].filter(row => row.round <= gameweek);
+        });
+
+        const analyzer = new FPLAnalyzer().useData(bootstrapData, fixtures);
+        analyzer.minutesModel.setHistories(histories);
+
+        this.defenseAnalyzer.bootstrapData = bootstrapData;
+        this.defenseAnalyzer.appearances = this.allAppearances.filter(appearance => appearance.round <= gameweek);
+        const defenseResults = this.defenseAnalyzer.calculateResults(this.defenseOptions);
+
+        const fixtureAnalyzer = new PlayerFixtureAnalyzer(defenseResults).useData(bootstrapData, fixtures);
+        fixtureAnalyzer.setMinutesModel(analyzer.minutesModel);
+
+        return { gameweek, analyzer, fixtureAnalyzer };
+    }
+
+    /**
+     * Points each player actually scored in the gameweeks after `gameweek`
+     */
+    getActualPoints(gameweek) {
+        const points = new Map();
+        Object.keys(this.histories).forEach(id => {
+            points.set(Number(id), this.histories[id]
+                .filter(row => row.round > gameweek && row.round <= gameweek + this.horizon)
+                .reduce((total, row) => total + row.total_points, 0));
+        });
+        return points;
+    }
+
+    /**
+     * Score one ranking against actual points
+     * hitRate: share of the top `limit` picks that finished in the actual top `limit`
+     * correlation: Spearman between ranking order and actual points across the whole ranking
+     * pointsCaptured: points of the top picks as a share of the best possible `limit` players
+     */
+    scoreRanking(rows, actual) {
+        const ranked = rows.map(row => row.id).filter(id => actual.has(id));
+        const picks = ranked.slice(0, this.limit);
+        if (picks.length === 0) return null;
+
+        const best = [...actual.values()].sort((a, b) => b - a).slice(0, this.limit);
+        const threshold = best[best.length - 1];
+        const bestTotal = best.reduce((sum, points) => sum + points, 0);
+        const pickedTotal = picks.reduce((sum, id) => sum + actual.get(id), 0);
+
+        // Ranking position 1 is best, so compare against negated positions
+        const correlation = spearman(ranked.map((_, index) => -index), ranked.map(id => actual.get(id)));
+
+        return {
+            picks: picks.length,
+            hitRate: picks.filter(id => actual.get(id) >= threshold).length / picks.length,
+            correlation,
+            pointsCaptured: bestTotal > 0 ? pickedTotal / bestTotal : null,
+            avgPoints: pickedTotal / picks.length
+        };
+    }
+
+    /**
+     * Run every strategy at each gameweek with a full horizon of results after it
+     */
+    run() {
+        const lastRankable = this.getLastFinishedGameweek() - this.horizon;
+        if (lastRankable < this.from) {
+            throw new Error(`Need results for gameweeks ${this.from + 1}-${this.from + this.horizon}; only ${this.getLastFinishedGameweek()} have finished`);
+        }
+
+        const gameweeks = [];
+        for (let gameweek = this.from; gameweek <= lastRankable; gameweek++) {
+            const context = this.buildContextAt(gameweek);
+            const actual = this.getActualPoints(gameweek);
+
+            const scores = {};
+            Object.entries(this.strategies).forEach(([name, strategy]) => {
+                scores[name] = this.scoreRanking(strategy(context, this.horizon), actual);
+            });
+            gameweeks.push({ gameweek, scores });
+        }
+
+        return { horizon: this.horizon, limit: this.limit, gameweeks, summary: this.summarize(gameweeks) };
+    }
+
+    /**
+     * Average each metric per strategy over the gameweeks it produced a ranking for
+     */
+    summarize(gameweeks) {
+        const average = values => {
+            const present = values.filter(value => value !== null && value !== undefined);
+            return present.length > 0
+                ? parseFloat((present.reduce((sum, v) => sum + v, 0) / present.length).toFixed(3))
+                : null;
+        };
+
+        return Object.keys(this.strategies)
+            .map(name => {
+                const scores = gameweeks.map(gw => gw.scores[name]).filter(Boolean);
+                return {
+                    strategy: name,
+                    gameweeks: scores.length,
+                    hitRate: average(scores.map(s => s.hitRate)),
+                    correlation: average(scores.map(s => s.correlation)),
+                    pointsCaptured: average(scores.map(s => s.pointsCaptured)),
+                    avgPoints: average(scores.map(s => s.avgPoints))
+                };
+            })
+            .sort((a, b) => (b.pointsCaptured || 0) - (a.pointsCaptured || 0));
+    }
+
+    /**
+     * Display the per-strategy summary and gameweek breakdown
+     */
+    displayResults(result) {
+        console.log('='.repeat(80));
+        console.log(`BACKTEST: top ${result.limit} picks scored over the next ${result.horizon} gameweeks`);
+        console.log('='.repeat(80));
+
+        console.table(result.summary);
+
+        console.log('\nPOINTS CAPTURED BY GAMEWEEK:');
+        console.table(result.gameweeks.map(({ gameweek, scores }) => {
+            const row = { gameweek };
+            Object.entries(scores).forEach(([name, score]) => {
+                row[name] = score && score.pointsCaptured !== null ? parseFloat(score.pointsCaptured.toFixed(2)) : null;
+            });
+            return row;
+        }));
+    }
+}
+
+/**
+ * Example usage: backtest the built-in strategies
+ */
+async function runBacktest(options = {}) {
+    try {
+        const backtester = new Backtester(options);
+        await backtester.initialize();
+
+        const result = backtester.run();
+        backtester.displayResults(result);
+
+        return result;
+
+    } catch (error) {
+        console.error('Backtest failed:', error.message);
+        throw error;
+    }
+}
+
+module.exports = {
+    Backtester,
+    STRATEGIES,
+    spearman,
+    runBacktest
+};
+
+// Run backtest if this file is executed directly
+if (require.main === module) {
+    const [horizon, limit, from] = process.argv.slice(2).map(Number);
+    runBacktest({ horizon, limit, from });
+}
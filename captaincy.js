@@ -0,0 +1,183 @@
+/**
+ * FPL Captaincy Recommender
+ * Ranks a squad's captain options for the next gameweek, with ownership-aware risk modes
+ */
+
+const { TeamDefenseAnalyzer, PlayerFixtureAnalyzer } = require('./team_analysis');
+const { ManagerTeam } = require('./manager_team');
+const { FPLAnalyzer } = require('./analysis');
+
+const HOME_FACTOR = 1.1;
+const AWAY_FACTOR = 0.95;
+
+/**
+ * How ownership (0-1) adjusts a captain score in each mode
+ * safe: lean toward players the field owns, so a haul doesn't cost rank
+ * differential: lean away from them, since an owned captain gains little on rivals
+ */
+const MODES = {
+    balanced: () => 1,
+    safe: ownership => 1 + ownership,
+    differential: ownership => 1 - 0.75 * ownership
+};
+
+class CaptainRecommender {
+    /**
+     * fixtureAnalyzer: an initialized PlayerFixtureAnalyzer
+     * options.projectionModel: an ExpectedPointsModel to use xP as the base score
+     */
+    constructor(fixtureAnalyzer, options = {}) {
+        this.fixtureAnalyzer = fixtureAnalyzer;
+        this.players = fixtureAnalyzer.allPlayersData;
+        this.projectionModel = options.projectionModel || null;
+    }
+
+    /**
+     * Rank captain options for a squad
+     * Options: mode ('balanced', 'safe' or 'differential')
+     */
+    recommend(squadIds, options = {}) {
+        const { mode = 'balanced' } = options;
+        if (!MODES[mode]) {
+            throw new Error(`Unknown captaincy mode "${mode}"`);
+        }
+
+        const rankings = squadIds
+            .map(id => this.scorePlayer(id, mode))
+            .filter(Boolean)
+            .sort((a, b) => b.adjustedScore - a.adjustedScore);
+
+        const captain = rankings[0] || null;
+        const viceCaptain = captain ? this.pickViceCaptain(rankings, captain) : null;
+
+        return {
+            gameweek: this.fixtureAnalyzer.getCurrentGameweek(),
+            mode,
+            captain,
+            viceCaptain,
+            rankings
+        };
+    }
+
+    /**
+     * Captain score for one player from fixtures, form, venue and minutes security
+     */
+    scorePlayer(playerId, mode) {
+        const player = this.players.find(p => p.id === playerId);
+        if (!player) return null;
+
+        const fixtures = this.fixtureAnalyzer.getPlayerUpcomingFixtures(playerId, 1);
+        const minutesSecurity = this.getMinutesSecurity(player);
+        const form = parseFloat(player.form) || 0;
+
+        let captainScore;
+        if (this.projectionModel) {
+            // xP already accounts for minutes and opponent strength
+            captainScore = this.projectionModel.getExpectedPoints(playerId, 1);
+        } else {
+            captainScore = fixtures.reduce((sum, fixture) => {
+                const fixtureMultiplier = fixture.vulnerabilityScore > 0 ? fixture.vulnerabilityScore / 5 : 1;
+                const venueFactor = fixture.isHome ? HOME_FACTOR : AWAY_FACTOR;
+                return sum + form * fixtureMultiplier * venueFactor;
+            }, 0) * minutesSecurity;
+        }
+
+        const ownership = (parseFloat(player.selected_by_percent) || 0) / 100;
+        const adjustedScore = captainScore * MODES[mode](ownership);
+
+        return {
+            id: player.id,
+            webName: player.web_name,
+            team: this.fixtureAnalyzer.bootstrapData.teams.find(t => t.id === player.team)?.name || 'Unknown',
+            fixtures: fixtures.map(f => `${f.opponent} (${f.isHome ? 'H' : 'A'})`).join(', ') || 'Blank',
+            fixtureIds: fixtures.map(f => f.fixtureId),
+            form,
+            minutesSecurity: parseFloat(minutesSecurity.toFixed(2)),
+            ownership: parseFloat(player.selected_by_percent) || 0,
+            captainScore: parseFloat(captainScore.toFixed(2)),
+            adjustedScore: parseFloat(adjustedScore.toFixed(2))
+        };
+    }
+
+    /**
+     * Chance of starting, from the minutes model (already scaled by the official chance of playing)
+     */
+    getMinutesSecurity(player) {
+        return this.fixtureAnalyzer.minutesModel.getProfile(player).startProbability;
+    }
+
+    /**
+     * Best remaining option that doesn't share a fixture with the captain
+     */
+    pickViceCaptain(rankings, captain) {
+        const captainFixtures = new Set(captain.fixtureIds);
+        return rankings.find(p => p.id !== captain.id && !p.fixtureIds.some(id => captainFixtures.has(id))) ||
+            rankings.find(p => p.id !== captain.id) ||
+            null;
+    }
+
+    /**
+     * Display captain rankings
+     */
+    displayRecommendation(result) {
+        console.log('='.repeat(80));
+        console.log(`CAPTAINCY - GAMEWEEK ${result.gameweek} (${result.mode.toUpperCase()} MODE)`);
+        console.log('='.repeat(80));
+
+        console.table(result.rankings.slice(0, 8).map(p => ({
+            webName: p.webName,
+            team: p.team,
+            fixtures: p.fixtures,
+            form: p.form,
+            minutesSecurity: p.minutesSecurity,
+            ownership: p.ownership,
+            score: p.adjustedScore
+        })));
+
+        if (result.captain) {
+            console.log(`Captain: ${result.captain.webName} (${result.captain.fixtures})`);
+        }
+        if (result.viceCaptain) {
+            console.log(`Vice-captain: ${result.viceCaptain.webName} (${result.viceCaptain.fixtures})`);
+        }
+    }
+}
+
+/**
+ * Example usage: node captaincy.js <entryId> [balanced|safe|differential]
+ */
+async function runCaptaincy(entryId, mode = 'balanced') {
+    try {
+        const defenseAnalyzer = new TeamDefenseAnalyzer();
+        await defenseAnalyzer.initialize();
+        const defenseResults = await defenseAnalyzer.analyzeTeamDefense();
+
+        const fixtureAnalyzer = new PlayerFixtureAnalyzer(defenseResults);
+        await fixtureAnalyzer.initialize();
+        await fixtureAnalyzer.minutesModel.loadHistories();
+
+        const analyzer = new FPLAnalyzer();
+        await analyzer.initialize();
+        const team = await new ManagerTeam(analyzer).load(entryId);
+
+        const recommender = new CaptainRecommender(fixtureAnalyzer);
+        const result = recommender.recommend(team.getPlayers().map(p => p.id), { mode });
+        recommender.displayRecommendation(result);
+
+        return result;
+
+    } catch (error) {
+        console.error('Captaincy recommendation failed:', error.message);
+        throw error;
+    }
+}
+
+module.exports = {
+    CaptainRecommender,
+    runCaptaincy
+};
+
+// Run recommender if this file is executed directly
+if (require.main === module) {
+    runCaptaincy(Number(process.argv[2]), process.argv[3]);
+}
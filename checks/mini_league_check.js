@@ -0,0 +1,88 @@
+/**
+ * Mini-League Check
+ * Replays a recorded league (standings plus each entry's picks, checks/fixtures/2025-10-01-gw8)
+ * and asserts effective ownership and differentials, so the numbers don't drift unnoticed
+ * Player 267 is left out of the recorded bootstrap to cover picks of players no longer in the game
+ *
+ * Usage: node checks/mini_league_check.js
+ */
+
+const assert = require('assert');
+const path = require('path');
+
+// Replay settings are read when the client is first created, so set them before loading the modules
+process.env.FPL_SNAPSHOT_DIR = path.join(__dirname, 'fixtures');
+process.env.FPL_SNAPSHOT = '2025-10-01-gw8';
+
+const { FPLAnalyzer } = require('../analysis');
+const { MiniLeague } = require('../mini_league');
+
+const LEAGUE_ID = 5000;
+const OUR_ENTRY = 101;
+
+async function runMiniLeagueCheck() {
+    const analyzer = new FPLAnalyzer();
+    await analyzer.initialize();
+    const league = await new MiniLeague(analyzer).load(LEAGUE_ID);
+
+    assert.strictEqual(league.gameweek, 8);
+    assert.deepStrictEqual(league.members.map(m => m.entryId), [101, 102, 103]);
+    assert.deepStrictEqual(league.failedEntries, []);
+
+    // Whole league: everyone captains 518, one of three starts 283, two of three bench 269
+    const ownership = league.getEffectiveOwnership();
+    assert.deepStrictEqual(ownership.get(518), { owned: 100, started: 100, captained: 100, eo: 200 });
+    assert.deepStrictEqual(ownership.get(283), { owned: 33.3, started: 33.3, captained: 0, eo: 33.3 });
+    assert.deepStrictEqual(ownership.get(269), { owned: 66.7, started: 0, captained: 0, eo: 0 });
+
+    // Rivals only: our own picks no longer count
+    const rivalOwnership = league.getEffectiveOwnership(OUR_ENTRY);
+    assert.strictEqual(rivalOwnership.get(283), undefined);
+    assert.deepStrictEqual(rivalOwnership.get(269), { owned: 50, started: 0, captained: 0, eo: 0 });
+
+    const differentials = league.getDifferentials(OUR_ENTRY);
+    const byId = new Map(differentials.map(row => [row.id, row]));
+    assert.strictEqual(differentials.length, 15);
+
+    assert.deepStrictEqual(differentials.filter(row => row.isDifferential).map(row => row.id).sort((a, b) => a - b),
+        [149, 283, 505]);
+    assert.deepStrictEqual(differentials.slice(0, 3).map(row => row.edge), [100, 100, 100]);
+
+    const captain = byId.get(518);
+    assert.strictEqual(captain.multiplier, 2);
+    assert.strictEqual(captain.rivalEO, 200);
+    assert.strictEqual(captain.edge, 0);
+    assert.strictEqual(captain.isDifferential, false);
+
+    const differential = byId.get(149);
+    assert.strictEqual(differential.webName, 'P150');
+    assert.strictEqual(differential.rivalOwned, 0);
+    assert.strictEqual(differential.globalOwnership, 6.2);
+
+    // Benched by us and by a rival: owned but worth nothing either way
+    assert.strictEqual(byId.get(269).rivalOwned, 50);
+    assert.strictEqual(byId.get(269).edge, 0);
+
+    const missing = byId.get(267);
+    assert.strictEqual(missing.webName, '#267');
+    assert.strictEqual(missing.globalOwnership, null);
+    assert.strictEqual(missing.isDifferential, false);
+
+    const threats = league.getThreats(OUR_ENTRY);
+    assert.deepStrictEqual(threats.map(row => row.id).sort((a, b) => a - b), [151, 152, 285, 286, 507, 508]);
+    assert.ok(threats.every(row => row.rivalEO === 50));
+
+    console.log('Mini-league check passed');
+}
+
+module.exports = {
+    runMiniLeagueCheck
+};
+
+// Run check if this file is executed directly
+if (require.main === module) {
+    runMiniLeagueCheck().catch(error => {
+        console.error('Mini-league check failed:', error.message);
+        process.exitCode = 1;
+    });
+}
@@ -0,0 +1,321 @@
+/**
+ * FPL Chip Strategy Planner
+ * Evaluates every remaining gameweek for Wildcard, Free Hit, Bench Boost and Triple Captain
+ * and suggests when to play the chips a manager still has
+ */
+
+const { TeamDefenseAnalyzer, PlayerFixtureAnalyzer } = require('./team_analysis');
+const { SquadOptimizer } = require('./squad_optimizer');
+const { ManagerTeam } = require('./manager_team');
+const { FPLAnalyzer } = require('./analysis');
+
+// Chip names as used by the FPL API
+const CHIPS = ['wildcard', 'freehit', 'bboost', '3xc'];
+const CHIP_LABELS = { wildcard: 'Wildcard', freehit: 'Free Hit', bboost: 'Bench Boost', '3xc': 'Triple Captain' };
+
+// Each chip can be played once in each half of the season
+const SEASON_HALVES = [
+    { half: 1, from: 1, to: 19 },
+    { half: 2, from: 20, to: 38 }
+];
+
+const WILDCARD_WINDOW = 5; // Gameweeks a wildcard squad is judged over
+
+class ChipPlanner {
+    /**
+     * fixtureAnalyzer: an initialized PlayerFixtureAnalyzer
+     * options.projectionModel: an ExpectedPointsModel to project with xP instead of form x fixtures
+     */
+    constructor(fixtureAnalyzer, options = {}) {
+        this.fixtureAnalyzer = fixtureAnalyzer;
+        this.calendar = fixtureAnalyzer.calendar;
+        this.players = fixtureAnalyzer.allPlayersData;
+        this.teams = fixtureAnalyzer.bootstrapData.teams;
+        this.projectionModel = options.projectionModel || null;
+        this.optimizedSquads = {}; // optimizeFor results by budget and gameweek window
+        this.optimizer = new SquadOptimizer(this.players, { teams: this.teams });
+    }
+
+    /**
+     * Plan chips for a squad
+     * squadIds: the manager's 15 player ids
+     * Options: chipsUsed ([{ name, event }]), budget (£m for Free Hit/Wildcard squads), horizon (gameweeks)
+     */
+    planChips(squadIds, options = {}) {
+        const {
+            chipsUsed = [],
+            budget = 100.0
+        } = options;
+
+        const startGameweek = this.fixtureAnalyzer.getCurrentGameweek();
+        const gameweeks = this.calendar.getGameweeks(startGameweek, options.horizon || 38);
+        const lastGameweek = gameweeks[gameweeks.length - 1];
+
+        console.log(`Projecting GW${startGameweek}-${lastGameweek} for chip planning...`);
+        this.buildProjections(lastGameweek - startGameweek + 1 + WILDCARD_WINDOW);
+
+        const squad = squadIds.map(id => {
+            const player = this.players.find(p => p.id === id);
+            if (!player) throw new Error(`Player with ID ${id} not found`);
+            return player;
+        });
+
+        const specialGameweeks = {};
+        this.calendar.getBlankAndDoubleGameweeks(startGameweek, gameweeks.length).forEach(gw => {
+            specialGameweeks[gw.gameweek] = gw;
+        });
+
+        const evaluations = gameweeks.map(gameweek => {
+            const special = specialGameweeks[gameweek];
+            const gains = this.evaluateGameweek(squad, gameweek, budget, Boolean(special));
+
+            return {
+                gameweek,
+                isBlank: Boolean(special && special.isBlank),
+                isDouble: Boolean(special && special.isDouble),
+                blankTeams: special ? special.blankTeams.length : 0,
+                doubleTeams: special ? special.doubleTeams.length : 0,
+                gains
+            };
+        });
+
+        const available = this.getAvailableChips(chipsUsed, startGameweek);
+        const schedule = this.buildSchedule(evaluations, available);
+
+        return { startGameweek, evaluations, available, schedule };
+    }
+
+    /**
+     * Cache projected points per player per gameweek
+     */
+    buildProjections(gameweeksAhead) {
+        this.projections = {};
+        this.optimizedSquads = {}; // Squads depend on the projections, so start the cache afresh
+        this.players.forEach(player => {
+            this.projections[player.id] = this.projectionModel
+                ? this.projectionModel.getExpectedPointsByGameweek(player.id, gameweeksAhead)
+                : this.fixtureAnalyzer.getProjectedPointsByGameweek(player.id, gameweeksAhead);
+        });
+    }
+
+    getPoints(playerId, gameweek) {
+        return (this.projections[playerId] && this.projections[playerId][gameweek]) || 0;
+    }
+
+    /**
+     * Projected gain from each chip if played in this gameweek
+     * isSpecial: a blank or double gameweek, the only ones that get their own Free Hit search
+     */
+    evaluateGameweek(squad, gameweek, budget, isSpecial = true) {
+        const lineup = this.getLineup(squad, gameweek);
+
+        // Bench Boost: the bench scores too
+        const benchBoost = lineup.bench.reduce((sum, c) => sum + c.score, 0);
+
+        // Triple Captain: the captain scores a third time
+        const tripleCaptain = lineup.captainScore;
+
+        // Wildcard: best squad over the next few gameweeks, versus keeping the current squad
+        const window = this.calendar.getGameweeks(gameweek, WILDCARD_WINDOW);
+        const wildcardSquad = this.optimizeFor(window, budget);
+        const wildcard = Math.max(0, window.reduce((sum, gw) =>
+            sum + this.getLineup(wildcardSquad, gw).total - this.getLineup(squad, gw).total, 0));
+
+        // Free Hit: best possible squad for this gameweek only, versus the current squad;
+        // ordinary gameweeks reuse the wildcard squad rather than running another full search
+        const freeHitSquad = isSpecial ? this.optimizeFor([gameweek], budget) : wildcardSquad;
+        const freeHit = Math.max(0, this.getLineup(freeHitSquad, gameweek).total - lineup.total);
+
+        const round = value => parseFloat(value.toFixed(2));
+        return {
+            wildcard: round(wildcard),
+            freehit: round(freeHit),
+            bboost: round(benchBoost),
+            '3xc': round(tripleCaptain)
+        };
+    }
+
+    /**
+     * Best XI (with captain doubled) and bench for a squad in one gameweek
+     */
+    getLineup(squad, gameweek) {
+        const candidates = squad.map(player => ({
+            player,
+            id: player.id,
+            position: player.element_type,
+            team: player.team,
+            cost: player.now_cost,
+            score: this.getPoints(player.id, gameweek)
+        }));
+
+        const { startingXI, bench } = this.optimizer.pickStartingXI(candidates);
+        const captainScore = startingXI.length > 0 ? Math.max(...startingXI.map(c => c.score)) : 0;
+        const total = startingXI.reduce((sum, c) => sum + c.score, 0) + captainScore;
+
+        return { startingXI, bench, captainScore, total };
+    }
+
+    /**
+     * Optimal squad for a set of gameweeks, returned as bootstrap player objects
+     * Cached by window and budget until the projections are rebuilt
+     */
+    optimizeFor(gameweeks, budget) {
+        const key = `${budget}:${gameweeks.join(',')}`;
+        if (this.optimizedSquads[key]) return this.optimizedSquads[key];
+
+        const scores = {};
+        this.players.forEach(player => {
+            scores[player.id] = gameweeks.reduce((sum, gw) => sum + this.getPoints(player.id, gw), 0);
+        });
+
+        const result = this.optimizer.optimize({ budget, scores, benchWeight: 0 });
+        this.optimizedSquads[key] = result.squad.map(p => this.players.find(player => player.id === p.id));
+        return this.optimizedSquads[key];
+    }
+
+    /**
+     * Chip instances still available: one of each chip per half of the season
+     */
+    getAvailableChips(chipsUsed, startGameweek) {
+        const available = [];
+
+        SEASON_HALVES.forEach(half => {
+            if (half.to < startGameweek) return;
+
+            CHIPS.forEach(chip => {
+                const used = chipsUsed.some(c => c.name === chip && c.event >= half.from && c.event <= half.to);
+                if (!used) {
+                    available.push({
+                        chip,
+                        label: CHIP_LABELS[chip],
+                        half: half.half,
+                        fromGameweek: Math.max(half.from, startGameweek),
+                        toGameweek: half.to
+                    });
+                }
+            });
+        });
+
+        return available;
+    }
+
+    /**
+     * Assign each available chip to its best gameweek, one chip per gameweek
+     */
+    buildSchedule(evaluations, available) {
+        const options = [];
+        available.forEach((instance, index) => {
+            evaluations
+                .filter(e => e.gameweek >= instance.fromGameweek && e.gameweek <= instance.toGameweek)
+                .forEach(e => options.push({ index, instance, evaluation: e, gain: e.gains[instance.chip] }));
+        });
+
+        // Highest gains claim their gameweek first
+        options.sort((a, b) => b.gain - a.gain);
+
+        const usedInstances = new Set();
+        const usedGameweeks = new Set();
+        const schedule = [];
+
+        options.forEach(option => {
+            if (usedInstances.has(option.index) || usedGameweeks.has(option.evaluation.gameweek)) return;
+            if (option.gain <= 0) return;
+
+            usedInstances.add(option.index);
+            usedGameweeks.add(option.evaluation.gameweek);
+            schedule.push({
+                chip: option.instance.chip,
+                label: option.instance.label,
+                gameweek: option.evaluation.gameweek,
+                projectedGain: option.gain,
+                reason: this.describeReason(option.instance.chip, option.evaluation)
+            });
+        });
+
+        return schedule.sort((a, b) => a.gameweek - b.gameweek);
+    }
+
+    describeReason(chip, evaluation) {
+        if (evaluation.isDouble && (chip === 'bboost' || chip === '3xc')) {
+            return `Double gameweek (${evaluation.doubleTeams} teams play twice)`;
+        }
+        if (evaluation.isBlank && chip === 'freehit') {
+            return `Blank gameweek (${evaluation.blankTeams} teams without a fixture)`;
+        }
+        if (chip === 'wildcard') {
+            return `Fixture swing over the following ${WILDCARD_WINDOW} gameweeks`;
+        }
+        return 'Highest projected gain';
+    }
+
+    /**
+     * Display gains per chip per gameweek and the suggested schedule
+     */
+    displayPlan(plan) {
+        console.log('='.repeat(80));
+        console.log('CHIP STRATEGY PLANNER');
+        console.log('='.repeat(80));
+
+        console.table(plan.evaluations.map(e => ({
+            gameweek: e.gameweek,
+            type: e.isDouble ? 'DGW' : (e.isBlank ? 'BGW' : ''),
+            wildcard: e.gains.wildcard,
+            freeHit: e.gains.freehit,
+            benchBoost: e.gains.bboost,
+            tripleCaptain: e.gains['3xc']
+        })));
+
+        console.log('\nSUGGESTED SCHEDULE:');
+        if (plan.schedule.length === 0) {
+            console.log('No chips left to play.');
+        }
+        plan.schedule.forEach(entry => {
+            console.log(`GW${entry.gameweek}: ${entry.label.padEnd(15)} +${entry.projectedGain} pts | ${entry.reason}`);
+        });
+        console.log('='.repeat(80));
+    }
+}
+
+/**
+ * Example usage: node chip_planner.js <entryId>
+ */
+async function runChipPlanner(entryId, options = {}) {
+    try {
+        const defenseAnalyzer = new TeamDefenseAnalyzer();
+        await defenseAnalyzer.initialize();
+        const defenseResults = await defenseAnalyzer.analyzeTeamDefense();
+
+        const fixtureAnalyzer = new PlayerFixtureAnalyzer(defenseResults);
+        await fixtureAnalyzer.initialize();
+
+        const analyzer = new FPLAnalyzer();
+        await analyzer.initialize();
+        const team = await new ManagerTeam(analyzer).load(entryId);
+
+        const planner = new ChipPlanner(fixtureAnalyzer);
+        const plan = planner.planChips(team.getPlayers().map(p => p.id), {
+            chipsUsed: team.getChipsUsed(),
+            budget: team.getBudget(),
+            ...options
+        });
+        planner.displayPlan(plan);
+
+        return plan;
+
+    } catch (error) {
+        console.error('Chip planning failed:', error.message);
+        throw error;
+    }
+}
+
+module.exports = {
+    ChipPlanner,
+    runChipPlanner,
+    CHIPS
+};
+
+// Run planner if this file is executed directly
+if (require.main === module) {
+    const [entryId, horizon] = process.argv.slice(2).map(Number);
+    runChipPlanner(entryId, horizon ? { horizon } : {});
+}
@@ -0,0 +1,173 @@
+/**
+ * FPL Data Store
+ * Keeps one loaded set of analyzers in memory and refreshes it on a timer,
+ * so long-running consumers (like the HTTP server) don't re-fetch per request
+ */
+
+const { FPLAnalyzer } = require('./analysis');
+const { TeamDefenseAnalyzer, PlayerFixtureAnalyzer } = require('./team_analysis');
+
+const DEFAULT_REFRESH_MINUTES = 15;
+const INITIAL_RETRY_SECONDS = 30; // First retry after a failed load with no data; doubles up to the refresh interval
+
+class FPLDataStore {
+    /**
+     * Options: refreshMinutes (0 disables the timer), defenseOptions ({ window, halfLife })
+     */
+    constructor(options = {}) {
+        const envMinutes = parseFloat(process.env.FPL_REFRESH_MINUTES);
+        const refreshMinutes = options.refreshMinutes !== undefined
+            ? options.refreshMinutes
+            : (Number.isNaN(envMinutes) ? DEFAULT_REFRESH_MINUTES : envMinutes);
+
+        this.refreshInterval = refreshMinutes * 60 * 1000;
+        this.defenseOptions = options.defenseOptions || {};
+        this.data = null;
+        this.lastRefreshed = null;
+        this.lastError = null;
+        this.refreshing = null;
+        this.timer = null;
+        this.retryTimer = null;
+    }
+
+    /**
+     * Load data now and keep refreshing it in the background
+     * The timer starts even if the first load fails, and until some data has loaded
+     * failed loads are retried sooner, with backoff
+     */
+    async start() {
+        if (this.refreshInterval > 0) {
+            this.timer = setInterval(() => {
+                this.refresh().catch(() => {}); // Failures are kept in lastError; the old data stays live
+            }, this.refreshInterval);
+        }
+
+        try {
+            await this.refresh();
+        } catch (error) {
+            this.scheduleRetry(INITIAL_RETRY_SECONDS * 1000);
+            throw error;
+        }
+    }
+
+    /**
+     * Retry a failed load while there is still no data to serve
+     */
+    scheduleRetry(delay) {
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            if (this.data) return; // The refresh timer got there first
+            this.refresh().catch(() => {
+                const maxDelay = this.refreshInterval > 0 ? this.refreshInterval : delay * 2;
+                if (!this.data) this.scheduleRetry(Math.min(delay * 2, maxDelay));
+            });
+        }, delay);
+    }
+
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+        if (this.retryTimer) clearTimeout(this.retryTimer);
+        this.timer = null;
+        this.retryTimer = null;
+    }
+
+    /**
+     * Build a fresh set of analyzers and swap them in once everything has loaded
+     */
+    async refresh() {
+        if (this.refreshing) return this.refreshing;
+
+        this.refreshing = (async () => {
+            try {
+                console.log('Refreshing FPL data store...');
+
+                const analyzer = new FPLAnalyzer();
+                await analyzer.initialize();
+
+                const defenseAnalyzer = new TeamDefenseAnalyzer();
+                await defenseAnalyzer.initialize();
+                const defenseResults = await defenseAnalyzer.analyzeTeamDefense(this.defenseOptions);
+
+                const fixtureAnalyzer = new PlayerFixtureAnalyzer(defenseResults);
+                await fixtureAnalyzer.initialize();
+
+                // One minutes model for both analyzers; histories are cached by the defense analysis
+                await fixtureAnalyzer.minutesModel.loadHistories();
+                analyzer.setMinutesModel(fixtureAnalyzer.minutesModel);
+
+                this.data = { analyzer, defenseResults, fixtureAnalyzer, recommendations: {} };
+                this.lastRefreshed = new Date();
+                this.lastError = null;
+                console.log(`FPL data store refreshed at ${this.lastRefreshed.toISOString()}`);
+            } catch (error) {
+                this.lastError = error;
+                console.error('FPL data store refresh failed:', error.message);
+                throw error;
+            } finally {
+                this.refreshing = null;
+            }
+        })();
+
+        return this.refreshing;
+    }
+
+    isReady() {
+        return this.data !== null;
+    }
+
+    getStatus() {
+        return {
+            ready: this.isReady(),
+            refreshing: Boolean(this.refreshing),
+            lastRefreshed: this.lastRefreshed ? this.lastRefreshed.toISOString() : null,
+            lastError: this.lastError ? this.lastError.message : null,
+            refreshMinutes: this.refreshInterval / 60000
+        };
+    }
+
+    /**
+     * The shared FPLAnalyzer, or a view of it limited to players passing `filter`
+     * and optionally using another availability mode
+     * The view inherits everything else from the shared analyzer, so it costs no reload
+     */
+    getAnalyzer(filter = null, availabilityMode = null) {
+        const { analyzer } = this.data;
+        if (!filter && !availabilityMode) return analyzer;
+
+        const view = Object.create(analyzer);
+        if (filter) view.allPlayersData = analyzer.allPlayersData.filter(filter);
+        if (availabilityMode) view.setAvailabilityMode(availabilityMode);
+        return view;
+    }
+
+    getDefenseResults() {
+        return this.data.defenseResults;
+    }
+
+    getFixtureAnalyzer() {
+        return this.data.fixtureAnalyzer;
+    }
+
+    /**
+     * Longest horizon worth asking for: the gameweeks from the next one to the end of the season
+     */
+    getMaxHorizon() {
+        const { fixtureAnalyzer } = this.data;
+        return Math.max(1, fixtureAnalyzer.calendar.lastGameweek - fixtureAnalyzer.getCurrentGameweek() + 1);
+    }
+
+    /**
+     * Recommendations for a horizon, computed once per refresh
+     */
+    getRecommendations(gameweeksAhead) {
+        const { recommendations, fixtureAnalyzer } = this.data;
+        if (!recommendations[gameweeksAhead]) {
+            recommendations[gameweeksAhead] = fixtureAnalyzer.analyzeTimeHorizon(gameweeksAhead);
+        }
+        return recommendations[gameweeksAhead];
+    }
+}
+
+module.exports = {
+    FPLDataStore
+};
@@ -0,0 +1,254 @@
+/**
+ * FPL Expected Points Model
+ * Projects expected points (xP) per player per upcoming fixture from per-90 rates,
+ * minutes probability, FPL scoring rules and opponent strength
+ */
+
+const { TeamDefenseAnalyzer, PlayerFixtureAnalyzer } = require('./team_analysis');
+
+// FPL scoring rules by position (1=GK, 2=DEF, 3=MID, 4=FWD)
+const SCORING = {
+    goal: { 1: 10, 2: 6, 3: 5, 4: 4 },
+    assist: 3,
+    cleanSheet: { 1: 4, 2: 4, 3: 1, 4: 0 },
+    goalsConcededPerPoint: 2, // GK/DEF lose 1 point per 2 goals conceded
+    savesPerPoint: 3,
+    yellowCard: -1,
+    appearance: 1,
+    sixtyMinutes: 1
+};
+
+// League-typical per-90 rates used as priors while a player's own sample is small
+const POSITION_PRIORS = {
+    1: { goals: 0, assists: 0.01, saves: 3.0, bonus: 0.3, goalsConceded: 1.3, yellowCards: 0.05 },
+    2: { goals: 0.05, assists: 0.07, saves: 0, bonus: 0.3, goalsConceded: 1.3, yellowCards: 0.15 },
+    3: { goals: 0.15, assists: 0.15, saves: 0, bonus: 0.3, goalsConceded: 1.3, yellowCards: 0.15 },
+    4: { goals: 0.35, assists: 0.12, saves: 0, bonus: 0.4, goalsConceded: 1.3, yellowCards: 0.12 }
+};
+const PRIOR_CLEAN_SHEET_RATE = 0.25;
+const PRIOR_WEIGHT_GAMES = 3; // Prior counts as this many full matches of evidence
+
+class ExpectedPointsModel {
+    /**
+     * fixtureAnalyzer: an initialized PlayerFixtureAnalyzer (fixtures, teams and vulnerability scores)
+     * minutesModel: the MinutesModel for start and 60-minute chances, and the match histories (the analyzer's by default)
+     */
+    constructor(fixtureAnalyzer, minutesModel = fixtureAnalyzer.minutesModel) {
+        if (!minutesModel) {
+            throw new Error('ExpectedPointsModel needs a minutes model; initialize the fixture analyzer first');
+        }
+        this.fixtureAnalyzer = fixtureAnalyzer;
+        this.players = fixtureAnalyzer.allPlayersData;
+        this.minutesModel = minutesModel;
+        this.rateCache = {};
+    }
+
+    /**
+     * Load gameweek history for players through the minutes model so rates and minutes use per-match data
+     * Without it the model falls back to season totals from bootstrap data
+     */
+    async loadHistories(playerIds = this.players.map(p => p.id)) {
+        await this.minutesModel.loadHistories(playerIds);
+        playerIds.forEach(playerId => delete this.rateCache[playerId]);
+    }
+
+    /**
+     * Per-90 rates and minutes profile for a player, shrunk toward position priors
+     */
+    getPlayerRates(player) {
+        if (this.rateCache[player.id]) return this.rateCache[player.id];
+
+        const history = this.minutesModel.histories[player.id];
+        const totals = history && history.length > 0 ? this.sumHistory(history) : this.sumBootstrap(player);
+        const prior = POSITION_PRIORS[player.element_type];
+        const sample90s = totals.minutes / 90;
+
+        const shrink = (count, priorRate) =>
+            (count + priorRate * PRIOR_WEIGHT_GAMES) / (sample90s + PRIOR_WEIGHT_GAMES);
+
+        const rates = {
+            goals: shrink(totals.goals, prior.goals),
+            assists: shrink(totals.assists, prior.assists),
+            saves: shrink(totals.saves, prior.saves),
+            bonus: shrink(totals.bonus, prior.bonus),
+            goalsConceded: shrink(totals.goalsConceded, prior.goalsConceded),
+            yellowCards: shrink(totals.yellowCards, prior.yellowCards),
+            cleanSheetRate: (totals.cleanSheets + PRIOR_CLEAN_SHEET_RATE * PRIOR_WEIGHT_GAMES) /
+                (totals.fullGames + PRIOR_WEIGHT_GAMES),
+            ...this.getMinutesProfile(player)
+        };
+
+        this.rateCache[player.id] = rates;
+        return rates;
+    }
+
+    sumHistory(history) {
+        const played = history.filter(gw => gw.minutes > 0);
+        const sum = field => played.reduce((total, gw) => total + (gw[field] || 0), 0);
+
+        return {
+            minutes: sum('minutes'),
+            goals: sum('goals_scored'),
+            assists: sum('assists'),
+            saves: sum('saves'),
+            bonus: sum('bonus'),
+            goalsConceded: sum('goals_conceded'),
+            yellowCards: sum('yellow_cards'),
+            cleanSheets: sum('clean_sheets'),
+            fullGames: played.filter(gw => gw.minutes >= 60).length
+        };
+    }
+
+    sumBootstrap(player) {
+        return {
+            minutes: player.minutes,
+            goals: player.goals_scored,
+            assists: player.assists,
+            saves: player.saves,
+            bonus: player.bonus,
+            goalsConceded: player.goals_conceded || 0,
+            yellowCards: player.yellow_cards,
+            cleanSheets: player.clean_sheets,
+            fullGames: player.starts !== undefined ? player.starts : Math.floor(player.minutes / 90)
+        };
+    }
+
+    /**
+     * Probability of appearing, of playing 60+ minutes, and expected minutes when appearing,
+     * taken from the minutes model (which already discounts flagged players)
+     */
+    getMinutesProfile(player) {
+        const profile = this.minutesModel.getProfile(player);
+        return {
+            playProbability: profile.startProbability,
+            sixtyProbability: profile.sixtyProbability,
+            minutesWhenPlaying: profile.avgMinutesWhenStarting
+        };
+    }
+
+    /**
+     * Expected points for one fixture with a breakdown by scoring category
+     */
+    projectFixture(player, fixture) {
+        const rates = this.getPlayerRates(player);
+        const position = player.element_type;
+
+        // Attacking returns scale with how many points the opponent concedes to this position
+        const attackMultiplier = fixture.vulnerabilityScore > 0 ? fixture.vulnerabilityScore / 5 : 1;
+        // Clean sheets scale with official fixture difficulty (3 = average opponent)
+        const defenceMultiplier = Math.max(0.2, (6 - (fixture.difficulty || 3)) / 3);
+
+        const expected90s = rates.playProbability * (rates.minutesWhenPlaying / 90);
+
+        const breakdown = {
+            appearance: rates.playProbability * SCORING.appearance + rates.sixtyProbability * SCORING.sixtyMinutes,
+            goals: expected90s * rates.goals * attackMultiplier * SCORING.goal[position],
+            assists: expected90s * rates.assists * attackMultiplier * SCORING.assist,
+            cleanSheets: rates.sixtyProbability * Math.min(0.9, rates.cleanSheetRate * defenceMultiplier) *
+                SCORING.cleanSheet[position],
+            saves: position === 1 ? expected90s * rates.saves / SCORING.savesPerPoint : 0,
+            bonus: expected90s * rates.bonus * attackMultiplier,
+            goalsConceded: position <= 2
+                ? -expected90s * (rates.goalsConceded / defenceMultiplier) / SCORING.goalsConcededPerPoint
+                : 0,
+            cards: expected90s * rates.yellowCards * SCORING.yellowCard
+        };
+
+        const xp = Object.values(breakdown).reduce((sum, value) => sum + value, 0);
+
+        return {
+            gameweek: fixture.gameweek,
+            opponent: fixture.opponent,
+            isHome: fixture.isHome,
+            xp: parseFloat(xp.toFixed(2)),
+            breakdown: Object.fromEntries(
+                Object.entries(breakdown).map(([key, value]) => [key, parseFloat(value.toFixed(2))])
+            )
+        };
+    }
+
+    /**
+     * Expected points for each upcoming fixture in the window
+     */
+    projectPlayer(playerId, gameweeksAhead = 1) {
+        const player = this.players.find(p => p.id === playerId);
+        if (!player) return [];
+
+        return this.fixtureAnalyzer.getPlayerUpcomingFixtures(playerId, gameweeksAhead)
+            .map(fixture => this.projectFixture(player, fixture));
+    }
+
+    /**
+     * Total expected points over the window
+     */
+    getExpectedPoints(playerId, gameweeksAhead = 1) {
+        return this.projectPlayer(playerId, gameweeksAhead).reduce((sum, fixture) => sum + fixture.xp, 0);
+    }
+
+    /**
+     * Expected points split by gameweek, e.g. { 9: 5.2, 10: 3.8 }
+     * Same shape as PlayerFixtureAnalyzer.getProjectedPointsByGameweek, so it can drive TransferPlanner
+     */
+    getExpectedPointsByGameweek(playerId, gameweeksAhead = 1) {
+        const byGameweek = {};
+        this.projectPlayer(playerId, gameweeksAhead).forEach(fixture => {
+            byGameweek[fixture.gameweek] = (byGameweek[fixture.gameweek] || 0) + fixture.xp;
+        });
+        return byGameweek;
+    }
+
+    /**
+     * Rank all players by expected points over the window
+     */
+    getRankings(gameweeksAhead = 1, position = null) {
+        return this.players
+            .filter(player => !position || player.element_type === position)
+            .map(player => ({
+                id: player.id,
+                webName: player.web_name,
+                team: this.fixtureAnalyzer.bootstrapData.teams.find(t => t.id === player.team)?.name || 'Unknown',
+                position: this.fixtureAnalyzer.getPositionName(player.element_type),
+                cost: player.now_cost / 10,
+                expectedPoints: parseFloat(this.getExpectedPoints(player.id, gameweeksAhead).toFixed(2))
+            }))
+            .sort((a, b) => b.expectedPoints - a.expectedPoints);
+    }
+}
+
+/**
+ * Example usage: top players by expected points for the next gameweek
+ */
+async function runExpectedPoints(gameweeksAhead = 1) {
+    try {
+        const defenseAnalyzer = new TeamDefenseAnalyzer();
+        await defenseAnalyzer.initialize();
+        const defenseResults = await defenseAnalyzer.analyzeTeamDefense();
+
+        const fixtureAnalyzer = new PlayerFixtureAnalyzer(defenseResults);
+        await fixtureAnalyzer.initialize();
+
+        const model = new ExpectedPointsModel(fixtureAnalyzer);
+        await model.loadHistories();
+
+        const rankings = model.getRankings(gameweeksAhead);
+        console.log(`\n=== TOP 20 BY EXPECTED POINTS (next ${gameweeksAhead} GW) ===`);
+        console.table(rankings.slice(0, 20));
+
+        return rankings;
+
+    } catch (error) {
+        console.error('Expected points projection failed:', error.message);
+        throw error;
+    }
+}
+
+module.exports = {
+    ExpectedPointsModel,
+    runExpectedPoints,
+    SCORING
+};
+
+// Run projection if this file is executed directly
+if (require.main === module) {
+    runExpectedPoints(parseInt(process.argv[2], 10) || 1);
+}
@@ -0,0 +1,162 @@
+/**
+ * FPL Fixture Calendar
+ * Maps fixtures onto gameweeks per team to detect blank and double gameweeks
+ * and fixtures that are not yet scheduled
+ */
+
+const LAST_GAMEWEEK = 38;
+
+class FixtureCalendar {
+    /**
+     * fixtures: fixtures endpoint data, teams/events: from bootstrap data
+     */
+    constructor(fixtures, teams, events = []) {
+        this.fixtures = fixtures;
+        this.teams = teams;
+        this.events = events;
+        this.lastGameweek = events.length > 0 ? Math.max(...events.map(e => e.id)) : LAST_GAMEWEEK;
+    }
+
+    /**
+     * Next gameweek that has not started yet
+     */
+    getNextGameweek() {
+        if (this.nextGameweek !== undefined) return this.nextGameweek;
+        this.nextGameweek = this.findNextGameweek();
+        return this.nextGameweek;
+    }
+
+    findNextGameweek() {
+        // Postponed fixtures have no gameweek (event: null), so skip them
+        const upcomingFixtures = this.fixtures
+            .filter(f => f.event && f.finished === false && f.started === false)
+            .sort((a, b) => new Date(a.kickoff_time) - new Date(b.kickoff_time));
+
+        if (upcomingFixtures.length > 0) {
+            return upcomingFixtures[0].event;
+        }
+
+        const nextEvent = this.events.find(e => e.is_next);
+        if (nextEvent) return nextEvent.id;
+
+        // Fallback - the gameweek after the highest one with fixtures
+        const maxGameweek = Math.max(...this.fixtures.map(f => f.event || 0));
+        return Math.min(this.lastGameweek, maxGameweek + 1);
+    }
+
+    /**
+     * Gameweek with fixtures under way or awaiting final confirmation, or null between gameweeks
+     * (getNextGameweek only looks at fixtures that haven't kicked off)
+     */
+    getInProgressGameweek() {
+        const live = this.fixtures.filter(f => f.event && f.started && !f.finished);
+        if (live.length > 0) return Math.min(...live.map(f => f.event));
+
+        const current = this.events.find(e => e.is_current && !e.finished);
+        return current ? current.id : null;
+    }
+
+    /**
+     * Consecutive gameweeks starting at `from`, stopping at the end of the season
+     */
+    getGameweeks(from, count) {
+        // Clamp before building the array so a huge count can't allocate past the season
+        const length = Math.max(0, Math.min(count, this.lastGameweek - from + 1));
+        return Array.from({ length }, (_, i) => from + i);
+    }
+
+    /**
+     * A team's fixtures in one gameweek (0 = blank, 2+ = double)
+     */
+    getTeamFixtures(teamId, gameweek) {
+        return this.fixtures.filter(f => f.event === gameweek && (f.team_h === teamId || f.team_a === teamId));
+    }
+
+    /**
+     * Team x gameweek grid: every team's fixtures for each gameweek in the window
+     */
+    getTeamGrid(from = this.getNextGameweek(), count = 5) {
+        const gameweeks = this.getGameweeks(from, count);
+
+        return this.teams.map(team => {
+            const grid = {};
+            gameweeks.forEach(gameweek => {
+                grid[gameweek] = this.getTeamFixtures(team.id, gameweek).map(fixture => {
+                    const isHome = fixture.team_h === team.id;
+                    const opponentId = isHome ? fixture.team_a : fixture.team_h;
+
+                    return {
+                        fixtureId: fixture.id,
+                        opponentId,
+                        opponent: this.getTeamName(opponentId),
+                        opponentShortName: this.getTeamShortName(opponentId),
+                        isHome,
+                        difficulty: isHome ? fixture.team_h_difficulty : fixture.team_a_difficulty
+                    };
+                });
+            });
+
+            return {
+                teamId: team.id,
+                team: team.name,
+                shortName: team.short_name || team.name,
+                gameweeks: grid,
+                fixtureCount: Object.values(grid).reduce((sum, fixtures) => sum + fixtures.length, 0),
+                blanks: gameweeks.filter(gameweek => grid[gameweek].length === 0),
+                doubles: gameweeks.filter(gameweek => grid[gameweek].length > 1)
+            };
+        });
+    }
+
+    /**
+     * Gameweeks in the window where any team blanks or doubles
+     */
+    getBlankAndDoubleGameweeks(from = this.getNextGameweek(), count = LAST_GAMEWEEK) {
+        const grid = this.getTeamGrid(from, count);
+
+        return this.getGameweeks(from, count)
+            .map(gameweek => {
+                const blankTeams = grid.filter(row => row.gameweeks[gameweek].length === 0).map(row => row.team);
+                const doubleTeams = grid.filter(row => row.gameweeks[gameweek].length > 1).map(row => row.team);
+
+                return {
+                    gameweek,
+                    fixtureCount: this.fixtures.filter(f => f.event === gameweek).length,
+                    isBlank: blankTeams.length > 0,
+                    isDouble: doubleTeams.length > 0,
+                    blankTeams,
+                    doubleTeams
+                };
+            })
+            .filter(gameweek => gameweek.isBlank || gameweek.isDouble);
+    }
+
+    /**
+     * Fixtures postponed or not yet given a gameweek (event: null)
+     */
+    getUnscheduledFixtures() {
+        return this.fixtures
+            .filter(f => !f.event && !f.finished)
+            .map(f => ({
+                fixtureId: f.id,
+                homeTeamId: f.team_h,
+                homeTeam: this.getTeamName(f.team_h),
+                awayTeamId: f.team_a,
+                awayTeam: this.getTeamName(f.team_a)
+            }));
+    }
+
+    getTeamName(teamId) {
+        const team = this.teams.find(t => t.id === teamId);
+        return team ? team.name : 'Unknown';
+    }
+
+    getTeamShortName(teamId) {
+        const team = this.teams.find(t => t.id === teamId);
+        return team ? (team.short_name || team.name) : 'UNK';
+    }
+}
+
+module.exports = {
+    FixtureCalendar
+};
@@ -0,0 +1,257 @@
+/**
+ * FPL Fixture Ticker
+ * Team x gameweek difficulty matrix with a choice of rating source, sorted by easiest run,
+ * plus goalkeeper/defender rotation pairs whose fixtures complement each other
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { TeamDefenseAnalyzer, PlayerFixtureAnalyzer } = require('./team_analysis');
+
+// Rating sources: official FDR, position vulnerability from TeamDefenseAnalyzer, or a ratings file
+const RATING_SOURCES = ['fdr', 'vulnerability', 'custom'];
+
+const DEFAULT_RATINGS_FILE = 'fixture_ratings.json';
+const EASY_FIXTURE = 2.5; // Difficulty at or below this counts as a fixture worth starting
+
+class FixtureTicker {
+    /**
+     * fixtureAnalyzer: an initialized PlayerFixtureAnalyzer
+     * Options:
+     *   source: 'fdr', 'vulnerability' or 'custom'
+     *   position: position id whose vulnerability is used (default 2 = DEF)
+     *   ratings: custom ratings object, or ratingsFile to load one (see loadRatings)
+     */
+    constructor(fixtureAnalyzer, options = {}) {
+        const { source = 'fdr', position = 2 } = options;
+        if (!RATING_SOURCES.includes(source)) {
+            throw new Error(`Unknown rating source "${source}" (use ${RATING_SOURCES.join(', ')})`);
+        }
+
+        this.fixtureAnalyzer = fixtureAnalyzer;
+        this.teams = fixtureAnalyzer.bootstrapData.teams;
+        this.source = source;
+        this.position = position;
+        this.ratings = source === 'custom'
+            ? (options.ratings || FixtureTicker.loadRatings(options.ratingsFile))
+            : null;
+    }
+
+    /**
+     * Load user ratings from a JSON file keyed by team name or short name:
+     *   { "MCI": { "home": 5, "away": 4 }, "Ipswich": 2 }
+     * "home"/"away" is the difficulty of facing that team at your home or away; a single number covers both
+     */
+    static loadRatings(ratingsFile = DEFAULT_RATINGS_FILE) {
+        const filePath = path.resolve(ratingsFile);
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`Ratings file not found: ${filePath}`);
+        }
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+
+    /**
+     * Difficulty of one fixture on a 1 (easiest) to 5 (hardest) scale
+     */
+    getDifficulty(fixture) {
+        if (this.source === 'vulnerability') {
+            // The opponent defends at the other venue; 10 = most vulnerable = easiest
+            const venue = fixture.isHome ? 'away' : 'home';
+            const vulnerability = this.fixtureAnalyzer.getVulnerabilityScore(fixture.opponentId, this.position, venue);
+            return 1 + (10 - vulnerability) * 0.4;
+        }
+
+        if (this.source === 'custom') {
+            const opponent = this.teams.find(t => t.id === fixture.opponentId);
+            const rating = opponent && (this.ratings[opponent.short_name] ?? this.ratings[opponent.name]);
+            if (typeof rating === 'number') return rating;
+            if (rating) {
+                const venueRating = fixture.isHome ? rating.home : rating.away;
+                if (venueRating !== undefined) return venueRating;
+            }
+            // Teams missing from the file keep their official rating
+        }
+
+        return fixture.difficulty || 3;
+    }
+
+    /**
+     * Team x gameweek matrix sorted by easiest run
+     * Each fixture contributes (6 - difficulty), so doubles add up and blanks add nothing
+     */
+    getTicker(gameweeksAhead = 6) {
+        const grid = this.fixtureAnalyzer.getGameweekGrid(gameweeksAhead);
+        const gameweeks = this.fixtureAnalyzer.calendar.getGameweeks(this.fixtureAnalyzer.getCurrentGameweek(), gameweeksAhead);
+
+        const rows = grid.map(row => {
+            const rated = {};
+            let fixtureCount = 0;
+            let totalDifficulty = 0;
+
+            gameweeks.forEach(gameweek => {
+                rated[gameweek] = row.gameweeks[gameweek].map(fixture => {
+                    const difficulty = parseFloat(this.getDifficulty(fixture).toFixed(2));
+                    fixtureCount++;
+                    totalDifficulty += difficulty;
+                    return { ...fixture, difficulty };
+                });
+            });
+
+            const runScore = Object.values(rated)
+                .flat()
+                .reduce((sum, fixture) => sum + (6 - fixture.difficulty), 0);
+
+            return {
+                teamId: row.teamId,
+                team: row.team,
+                shortName: row.shortName,
+                gameweeks: rated,
+                fixtureCount,
+                avgDifficulty: fixtureCount > 0 ? parseFloat((totalDifficulty / fixtureCount).toFixed(2)) : null,
+                runScore: parseFloat(runScore.toFixed(2)),
+                blanks: row.blanks,
+                doubles: row.doubles
+            };
+        });
+
+        return {
+            source: this.source,
+            position: this.source === 'vulnerability' ? this.position : null,
+            gameweeks,
+            teams: rows.sort((a, b) => b.runScore - a.runScore)
+        };
+    }
+
+    /**
+     * Pairs of teams whose goalkeepers/defenders can be rotated: each gameweek starts
+     * whichever of the two has the easier fixture
+     */
+    getRotationPairs(ticker, limit = 10) {
+        const pairs = [];
+
+        for (let i = 0; i < ticker.teams.length; i++) {
+            for (let j = i + 1; j < ticker.teams.length; j++) {
+                const first = ticker.teams[i];
+                const second = ticker.teams[j];
+
+                let pairScore = 0;
+                let easyWeeks = 0;
+                const picks = ticker.gameweeks.map(gameweek => {
+                    const firstEase = this.getGameweekEase(first, gameweek);
+                    const secondEase = this.getGameweekEase(second, gameweek);
+                    const pick = firstEase >= secondEase ? first : second;
+                    const ease = Math.max(firstEase, secondEase);
+
+                    pairScore += ease;
+                    const fixtures = pick.gameweeks[gameweek];
+                    if (fixtures.some(f => f.difficulty <= EASY_FIXTURE)) easyWeeks++;
+
+                    return { gameweek, start: pick.shortName };
+                });
+
+                // Only a rotation if both teams are needed to cover the window
+                const starts = new Set(picks.map(p => p.start));
+                if (starts.size < 2) continue;
+
+                pairs.push({
+                    teams: [first.team, second.team],
+                    pairScore: parseFloat(pairScore.toFixed(2)),
+                    easyWeeks,
+                    gain: parseFloat((pairScore - Math.max(first.runScore, second.runScore)).toFixed(2)),
+                    picks
+                });
+            }
+        }
+
+        return pairs
+            // Complementary pairs first: most gained over just owning the better team
+            .sort((a, b) => b.gain - a.gain || b.easyWeeks - a.easyWeeks)
+            .slice(0, limit);
+    }
+
+    getGameweekEase(row, gameweek) {
+        return row.gameweeks[gameweek].reduce((sum, fixture) => sum + (6 - fixture.difficulty), 0);
+    }
+
+    /**
+     * Display the ticker and rotation pairs
+     */
+    displayTicker(ticker, rotationPairs = []) {
+        const sourceLabel = ticker.source === 'vulnerability'
+            ? `vulnerability to ${this.fixtureAnalyzer.getPositionName(ticker.position)}s`
+            : (ticker.source === 'custom' ? 'custom ratings' : 'official FDR');
+
+        console.log('='.repeat(80));
+        console.log(`FIXTURE TICKER GW${ticker.gameweeks[0]}-${ticker.gameweeks[ticker.gameweeks.length - 1]} (${sourceLabel})`);
+        console.log('='.repeat(80));
+
+        console.table(ticker.teams.map(row => {
+            const display = { team: row.shortName };
+            ticker.gameweeks.forEach(gameweek => {
+                const fixtures = row.gameweeks[gameweek];
+                display[`GW${gameweek}`] = fixtures.length === 0
+                    ? '-'
+                    : fixtures.map(f => `${f.opponentShortName}(${f.isHome ? 'H' : 'A'}) ${f.difficulty}`).join(' + ');
+            });
+            display.run = row.runScore;
+            return display;
+        }));
+
+        if (rotationPairs.length > 0) {
+            console.log('\nGK/DEF ROTATION PAIRS:');
+            rotationPairs.forEach((pair, index) => {
+                const picks = pair.picks.map(p => `GW${p.gameweek}:${p.start}`).join(' ');
+                console.log(`${index + 1}. ${pair.teams.join(' + ')} | ${pair.easyWeeks}/${pair.picks.length} easy weeks | +${pair.gain} vs best single | ${picks}`);
+            });
+        }
+        console.log('='.repeat(80));
+    }
+}
+
+/**
+ * Example usage: node fixture_ticker.js [fdr|vulnerability|custom] [gameweeks] [position] [ratingsFile]
+ */
+async function runFixtureTicker(options = {}) {
+    const { source = 'fdr', gameweeksAhead = 6 } = options;
+
+    try {
+        // Vulnerability scores need the defense analysis; the other sources only need fixtures
+        let defenseResults = null;
+        if (source === 'vulnerability') {
+            const defenseAnalyzer = new TeamDefenseAnalyzer();
+            await defenseAnalyzer.initialize();
+            defenseResults = await defenseAnalyzer.analyzeTeamDefense();
+        }
+
+        const fixtureAnalyzer = new PlayerFixtureAnalyzer(defenseResults);
+        await fixtureAnalyzer.initialize();
+
+        const ticker = new FixtureTicker(fixtureAnalyzer, options);
+        const result = ticker.getTicker(gameweeksAhead);
+        const rotationPairs = ticker.getRotationPairs(result);
+        ticker.displayTicker(result, rotationPairs);
+
+        return { ...result, rotationPairs };
+
+    } catch (error) {
+        console.error('Fixture ticker failed:', error.message);
+        throw error;
+    }
+}
+
+module.exports = {
+    FixtureTicker,
+    runFixtureTicker,
+    RATING_SOURCES
+};
+
+// Run ticker if this file is executed directly
+if (require.main === module) {
+    const [source, gameweeksAhead, position, ratingsFile] = process.argv.slice(2);
+    runFixtureTicker({
+        source: source || 'fdr',
+        gameweeksAhead: parseInt(gameweeksAhead, 10) || 6,
+        position: parseInt(position, 10) || 2,
+        ratingsFile
+    });
+}
@@ -0,0 +1,97 @@
+/**
+ * Output Formatters
+ * Render arrays of flat row objects as a text table, JSON, CSV or Markdown
+ */
+
+const FORMATS = ['table', 'json', 'csv', 'markdown'];
+
+/**
+ * Columns in first-seen order across all rows
+ */
+function getColumns(rows) {
+    const columns = [];
+    rows.forEach(row => {
+        Object.keys(row).forEach(key => {
+            if (!columns.includes(key)) columns.push(key);
+        });
+    });
+    return columns;
+}
+
+function cellText(value) {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) return value.join(', ');
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+/**
+ * Plain text table with aligned columns (numbers right-aligned)
+ */
+function formatTable(rows) {
+    if (rows.length === 0) return '(no results)';
+
+    const columns = getColumns(rows);
+    const widths = columns.map(column =>
+        Math.max(column.length, ...rows.map(row => cellText(row[column]).length)));
+
+    const line = cells => cells.join('  ').trimEnd();
+    const header = line(columns.map((column, i) => column.padEnd(widths[i])));
+    const divider = line(widths.map(width => '-'.repeat(width)));
+    const body = rows.map(row => line(columns.map((column, i) => {
+        const text = cellText(row[column]);
+        return typeof row[column] === 'number' ? text.padStart(widths[i]) : text.padEnd(widths[i]);
+    })));
+
+    return [header, divider, ...body].join('\n');
+}
+
+function formatCsv(rows) {
+    const columns = getColumns(rows);
+    const escape = value => {
+        const text = cellText(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [
+        columns.map(escape).join(','),
+        ...rows.map(row => columns.map(column => escape(row[column])).join(','))
+    ].join('\n');
+}
+
+function formatMarkdown(rows) {
+    if (rows.length === 0) return '_No results_';
+
+    const columns = getColumns(rows);
+    const escape = value => cellText(value).replace(/\|/g, '\\|');
+
+    return [
+        `| ${columns.join(' | ')} |`,
+        `| ${columns.map(column => (rows.every(row => typeof row[column] === 'number') ? '---:' : '---')).join(' | ')} |`,
+        ...rows.map(row => `| ${columns.map(column => escape(row[column])).join(' | ')} |`)
+    ].join('\n');
+}
+
+/**
+ * Render rows in one of FORMATS
+ */
+function formatRows(rows, format = 'table') {
+    switch (format) {
+        case 'table':
+            return formatTable(rows);
+        case 'json':
+            return JSON.stringify(rows, null, 2);
+        case 'csv':
+            return formatCsv(rows);
+        case 'markdown':
+            return formatMarkdown(rows);
+        default:
+            throw new Error(`Unknown format "${format}" (use ${FORMATS.join(', ')})`);
+    }
+}
+
+module.exports = {
+    FORMATS,
+    formatRows,
+    getColumns
+};
@@ -0,0 +1,460 @@
+#!/usr/bin/env node
+/**
+ * FPL Command-Line Interface
+ * One entry point for the analysis modules, with flags instead of hard-coded parameters
+ *
+ * Usage: node fpl.js <command> [options]
+ */
+
+const { parseArgs } = require('util');
+const { FPLAnalyzer, findPlayer } = require('./analysis');
+const { TeamDefenseAnalyzer, PlayerFixtureAnalyzer } = require('./team_analysis');
+const { PricePredictor } = require('./price_changes');
+const { getBootstrapData, getEntryPicks } = require('./requests');
+const { AvailabilityTracker, AVAILABILITY_MODES } = require('./availability');
+const { MiniLeague } = require('./mini_league');
+const { LiveGameweek } = require('./live_gameweek');
+const { SeasonProfiler } = require('./season_profiles');
+const { PlayerComparison } = require('./player_comparison');
+const { ExpectedPointsModel } = require('./expected_points');
+const { FORMATS, formatRows } = require('./formatters');
+const { POSITION_ALIASES, matchesFilters } = require('./player_filters');
+
+const POSITION_KEYS = { 1: 'goalkeepers', 2: 'defenders', 3: 'midfielders', 4: 'forwards' };
+const RANK_BY = ['points', 'xgi'];
+const DEFAULT_HORIZONS = [1, 3, 5];
+
+const HELP = `Usage: node fpl.js <command> [options]
+
+Commands:
+  top                 Top scorers by total points
+  value               Best points per million among regular starters
+  form                Best form among regular starters
+  differentials       Low-ownership players with strong totals
+  xgi                 Best expected goal involvements (xGI) per 90 among regular starters
+  regression          Players scoring furthest above or below their xGI
+  teams               Team totals (points, goals, assists, clean sheets)
+  defense             Points conceded to each position, most vulnerable first
+  xgc                 Expected goals conceded per team, leakiest first
+  recommend           Players with the best upcoming fixtures
+  prices              Likely price risers and fallers from transfer activity
+  availability        Injured, doubtful and suspended players with news
+  player <id|name>    Season summary for one player
+  compare <player> <player> [...]
+                      Two to five players (ids or names) side by side, with a verdict on
+                      projected points over the longest --horizon
+  seasons [id|name]   Players well above or below their points per 90 in past seasons,
+                      or one player's season-by-season record
+  league <league> <entry>
+                      Our players against rivals' effective ownership in a classic league,
+                      with the rank swing of captaining each starter
+  live <entry>        Live gameweek score with auto-subs and provisional bonus
+                      (node live_gameweek.js <entry> --watch polls for changes)
+
+Options:
+  -n, --limit <n>             Rows to show (per position for recommend/defense, default 10)
+  -p, --position <pos>        GK, DEF, MID or FWD (or 1-4)
+      --min-price <£m>        Only players costing at least this
+      --max-price <£m>        Only players costing at most this
+      --max-ownership <%>     Ownership cap (differentials default 5)
+      --min-points <n>        Minimum total points (differentials default 40)
+      --rank-by <metric>      value/differentials: points (default) or xgi
+      --horizon <list>        Gameweeks ahead for recommend, e.g. 1,3,5 (default 1,3,5)
+      --availability <mode>   Injured/doubtful players: exclude (default), weight or ignore
+      --window <n>            defense/recommend: only the last n gameweeks
+      --half-life <n>         defense/recommend: decay older gameweeks
+  -f, --format <format>       ${FORMATS.join(', ')} (default table)
+  -h, --help                  Show this help`;
+
+const ARG_OPTIONS = {
+    limit: { type: 'string', short: 'n' },
+    position: { type: 'string', short: 'p' },
+    'min-price': { type: 'string' },
+    'max-price': { type: 'string' },
+    'max-ownership': { type: 'string' },
+    'min-points': { type: 'string' },
+    'rank-by': { type: 'string', default: 'points' },
+    horizon: { type: 'string' },
+    availability: { type: 'string', default: 'exclude' },
+    window: { type: 'string' },
+    'half-life': { type: 'string' },
+    format: { type: 'string', short: 'f', default: 'table' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+/**
+ * Parse argv into a command, its arguments and typed options
+ */
+function parseCommandLine(argv) {
+    const { values, positionals } = parseArgs({ args: argv, options: ARG_OPTIONS, allowPositionals: true });
+    const [command, ...args] = positionals;
+
+    const number = (name, fallback = null) => {
+        if (values[name] === undefined) return fallback;
+        const value = parseFloat(values[name]);
+        if (Number.isNaN(value)) throw new Error(`--${name} must be a number, got "${values[name]}"`);
+        return value;
+    };
+
+    let position = null;
+    if (values.position !== undefined) {
+        position = POSITION_ALIASES[values.position.toLowerCase()];
+        if (!position) throw new Error(`Unknown position "${values.position}" (use GK, DEF, MID or FWD)`);
+    }
+
+    if (!AVAILABILITY_MODES.includes(values.availability)) {
+        throw new Error(`Unknown availability mode "${values.availability}" (use ${AVAILABILITY_MODES.join(', ')})`);
+    }
+
+    if (!RANK_BY.includes(values['rank-by'])) {
+        throw new Error(`Unknown ranking "${values['rank-by']}" (use ${RANK_BY.join(', ')})`);
+    }
+
+    if (!FORMATS.includes(values.format)) {
+        throw new Error(`Unknown format "${values.format}" (use ${FORMATS.join(', ')})`);
+    }
+
+    return {
+        command,
+        args,
+        help: Boolean(values.help),
+        options: {
+            limit: number('limit', 10),
+            position,
+            minPrice: number('min-price'),
+            maxPrice: number('max-price'),
+            maxOwnership: number('max-ownership'),
+            minPoints: number('min-points'),
+            rankBy: values['rank-by'],
+            horizons: values.horizon
+                ? values.horizon.split(',').map(h => parseInt(h, 10)).filter(h => h > 0)
+                : DEFAULT_HORIZONS,
+            window: number('window'),
+            halfLife: number('half-life'),
+            availability: values.availability,
+            format: values.format
+        }
+    };
+}
+
+/**
+ * Analyzer over the filtered pool; loadMinutes fetches match histories for commands
+ * that filter on regular starters, the rest get by on season totals
+ */
+async function loadAnalyzer(options, loadMinutes = false) {
+    const analyzer = new FPLAnalyzer();
+    await analyzer.initialize();
+    analyzer.allPlayersData = analyzer.allPlayersData.filter(player => matchesFilters(player, options));
+    if (loadMinutes) {
+        await analyzer.minutesModel.loadHistories(analyzer.allPlayersData.map(p => p.id));
+    }
+    analyzer.setAvailabilityMode(options.availability);
+    return analyzer;
+}
+
+async function loadDefenseResults(options) {
+    const defenseAnalyzer = new TeamDefenseAnalyzer();
+    await defenseAnalyzer.initialize();
+    return defenseAnalyzer.analyzeTeamDefense({ window: options.window, halfLife: options.halfLife });
+}
+
+const COMMANDS = {
+    async top(options) {
+        const analyzer = await loadAnalyzer(options);
+        return analyzer.getTopScorers(options.limit);
+    },
+
+    async value(options) {
+        const analyzer = await loadAnalyzer(options, true);
+        return analyzer.getBestValuePlayers(options.limit, options.rankBy);
+    },
+
+    async form(options) {
+        const analyzer = await loadAnalyzer(options, true);
+        return analyzer.getBestFormPlayers(options.limit);
+    },
+
+    async differentials(options) {
+        const maxOwnership = options.maxOwnership !== null ? options.maxOwnership : 5.0;
+        const minPoints = options.minPoints !== null ? options.minPoints : 40;
+        const analyzer = await loadAnalyzer({ ...options, maxOwnership }, true);
+        return analyzer.getDifferentialPicks(maxOwnership, minPoints, options.rankBy).slice(0, options.limit);
+    },
+
+    async xgi(options) {
+        const analyzer = await loadAnalyzer(options, true);
+        return analyzer.getBestXGIPlayers(options.limit);
+    },
+
+    async regression(options) {
+        const analyzer = await loadAnalyzer(options, true);
+        const { overperformers, underperformers } = analyzer.getRegressionCandidates(options.limit);
+        return [
+            ...overperformers.map(row => ({ trend: 'over', ...row })),
+            ...underperformers.map(row => ({ trend: 'under', ...row }))
+        ];
+    },
+
+    async teams(options) {
+        const analyzer = await loadAnalyzer(options);
+        return analyzer.analyzeTeamPerformance().slice(0, options.limit);
+    },
+
+    async defense(options) {
+        const results = await loadDefenseResults(options);
+        const positions = options.position ? [options.position] : [4, 3, 2, 1];
+
+        return positions.flatMap(position =>
+            results[POSITION_KEYS[position]].slice(0, options.limit).map((team, index) => ({
+                position: POSITION_KEYS[position],
+                rank: index + 1,
+                team: team.name,
+                totalPointsAllowed: team.totalPointsAllowed,
+                gamesPlayed: team.gamesPlayed,
+                avgPointsAllowedPerGame: parseFloat(team.avgPointsAllowedPerGame),
+                pointsAllowedPer90: parseFloat(team.pointsAllowedPer90),
+                homeAvg: parseFloat(team.home.avgPointsAllowedPerGame),
+                awayAvg: parseFloat(team.away.avgPointsAllowedPerGame)
+            })));
+    },
+
+    async xgc(options) {
+        const results = await loadDefenseResults(options);
+        return results.expectedGoalsConceded.slice(0, options.limit).map((team, index) => ({
+            rank: index + 1,
+            team: team.name,
+            gamesPlayed: team.gamesPlayed,
+            xGCPerGame: parseFloat(team.xGCPerGame),
+            goalsConcededPerGame: parseFloat(team.goalsConcededPerGame),
+            concededVsExpected: team.concededVsExpected
+        }));
+    },
+
+    async recommend(options) {
+        const defenseResults = await loadDefenseResults(options);
+        const fixtureAnalyzer = new PlayerFixtureAnalyzer(defenseResults);
+        await fixtureAnalyzer.initialize();
+        fixtureAnalyzer.allPlayersData = fixtureAnalyzer.allPlayersData.filter(player => matchesFilters(player, options));
+        await fixtureAnalyzer.minutesModel.loadHistories(fixtureAnalyzer.allPlayersData.map(p => p.id));
+        fixtureAnalyzer.setAvailabilityMode(options.availability);
+
+        return options.horizons.flatMap(horizon => {
+            const byPosition = fixtureAnalyzer.analyzeTimeHorizon(horizon);
+            return Object.entries(byPosition).flatMap(([position, players]) =>
+                players.slice(0, options.limit).map((player, index) => ({
+                    horizon,
+                    position,
+                    rank: index + 1,
+                    id: player.id,
+                    webName: player.webName,
+                    team: player.team,
+                    cost: player.cost,
+                    form: player.form,
+                    fixtures: player.fixtures.map(f => `${f.opponent} (${f.isHome ? 'H' : 'A'})`).join(', '),
+                    availability: player.availability,
+                    avgVulnerability: parseFloat(player.avgVulnerabilityScore),
+                    totalVulnerability: parseFloat(player.totalVulnerabilityScore),
+                    selectedBy: player.selectedBy
+                })));
+        });
+    },
+
+    async prices(options) {
+        const bootstrapData = await getBootstrapData();
+        const predictor = new PricePredictor({
+            ...bootstrapData,
+            elements: bootstrapData.elements.filter(player => matchesFilters(player, options))
+        });
+        predictor.calibrate();
+        const { risers, fallers } = predictor.predict(options.limit);
+        return [...risers, ...fallers];
+    },
+
+    async availability(options) {
+        const bootstrapData = await getBootstrapData();
+        const tracker = new AvailabilityTracker({
+            ...bootstrapData,
+            elements: bootstrapData.elements.filter(player => matchesFilters(player, options))
+        });
+        return tracker.getFlaggedPlayers().slice(0, options.limit);
+    },
+
+    async league(options, args) {
+        const [leagueId, entryId] = args.map(Number);
+        if (!leagueId || !entryId) throw new Error('Usage: node fpl.js league <leagueId> <entryId>');
+
+        const analyzer = new FPLAnalyzer();
+        await analyzer.initialize();
+        const league = await new MiniLeague(analyzer).load(leagueId);
+
+        const swings = new Map(league.getCaptainSwings(entryId).map(row => [row.id, row]));
+        return league.getDifferentials(entryId).map(row => {
+            const swing = swings.get(row.id);
+            return {
+                id: row.id,
+                webName: row.webName,
+                team: row.team,
+                multiplier: row.multiplier,
+                rivalEO: row.rivalEO,
+                globalOwnership: row.globalOwnership,
+                edge: row.edge,
+                differential: row.isDifferential,
+                captainHaulRank: swing ? swing.haulRank : null,
+                captainBlankRank: swing ? swing.blankRank : null
+            };
+        });
+    },
+
+    async live(options, args) {
+        const entryId = parseInt(args[0], 10);
+        if (!entryId) throw new Error('Usage: node fpl.js live <entryId>');
+
+        const tracker = await new LiveGameweek(await getBootstrapData()).load();
+        const score = tracker.getSquadScore(await getEntryPicks(entryId, tracker.gameweek));
+        const substitutedIn = new Set(score.substitutions.map(sub => sub.inId));
+
+        return score.picks.map(row => ({
+            gameweek: score.gameweek,
+            id: row.id,
+            webName: row.webName,
+            minutes: row.minutes,
+            points: row.points,
+            provisionalBonus: row.provisionalBonus,
+            multiplier: row.multiplier,
+            counted: row.livePoints * row.multiplier,
+            autoSub: substitutedIn.has(row.id),
+            captain: row.isCaptain ? 'C' : (row.isViceCaptain ? 'VC' : '')
+        }));
+    },
+
+    async player(options, args) {
+        const query = args.join(' ').trim();
+        if (!query) throw new Error('Usage: node fpl.js player <id|name>');
+
+        const analyzer = new FPLAnalyzer();
+        await analyzer.initialize();
+
+        const player = findPlayer(analyzer.allPlayersData, query);
+        const stats = await analyzer.getDetailedPlayerStats(player.id);
+        return [{
+            id: player.id,
+            ...stats.basicInfo,
+            ...stats.seasonStats,
+            gameweeksPlayed: stats.gameweekHistory.filter(gw => gw.minutes > 0).length,
+            upcomingFixtures: stats.upcomingFixtures.length
+        }];
+    },
+
+    async compare(options, args) {
+        if (args.length < 2) throw new Error('Usage: node fpl.js compare <id|name> <id|name> [...]');
+        // An empty list (e.g. --horizon 0) would make Math.max -Infinity
+        const horizon = Math.max(...(options.horizons.length > 0 ? options.horizons : DEFAULT_HORIZONS));
+
+        const analyzer = new FPLAnalyzer();
+        await analyzer.initialize();
+        const fixtureAnalyzer = new PlayerFixtureAnalyzer(await loadDefenseResults(options));
+        await fixtureAnalyzer.initialize();
+
+        const projectionModel = new ExpectedPointsModel(fixtureAnalyzer);
+        const comparison = await new PlayerComparison(analyzer, fixtureAnalyzer, { projectionModel }).load(args);
+        await projectionModel.loadHistories(comparison.players.map(p => p.id));
+
+        const rows = comparison.compare(horizon);
+        const sideBySide = comparison.getSideBySide(rows);
+        const columns = Object.keys(sideBySide[0]).slice(1);
+        // Verdict goes to stderr with the progress messages; the last row keeps it in the output
+        console.log(comparison.getVerdict(rows, horizon));
+        return [
+            ...sideBySide,
+            Object.fromEntries([['stat', 'verdict'], ...columns.map((column, index) => [
+                column,
+                index === 0 ? 'pick' : `-${parseFloat((rows[0].projectedPoints - rows[index].projectedPoints).toFixed(2))} pts`
+            ])])
+        ];
+    },
+
+    async seasons(options, args) {
+        const bootstrapData = await getBootstrapData();
+        const profiler = new SeasonProfiler(bootstrapData);
+        const query = args.join(' ').trim();
+
+        if (query) {
+            const player = findPlayer(bootstrapData.elements, query);
+            await profiler.loadHistories([player.id]);
+            const profile = profiler.getProfile(player);
+            return [
+                ...profile.seasons,
+                {
+                    season: 'current',
+                    points: profile.currentPoints,
+                    minutes: profile.currentMinutes,
+                    pointsPer90: profile.currentPer90,
+                    startPrice: null,
+                    endPrice: player.now_cost / 10,
+                    goals: player.goals_scored,
+                    assists: player.assists,
+                    bonus: player.bonus
+                }
+            ];
+        }
+
+        // Every history is needed for the position priors, not just the filtered players'
+        await profiler.loadHistories();
+        const players = bootstrapData.elements.filter(player => matchesFilters(player, options));
+        const { above, below } = profiler.getOutliers(options.limit, players);
+        return [...above, ...below].map(profile => ({
+            id: profile.id,
+            webName: profile.webName,
+            trend: profile.trend,
+            pastSeasons: profile.seasons.length,
+            historicalPer90: profile.historicalPer90,
+            currentPer90: profile.currentPer90,
+            currentMinutes: profile.currentMinutes,
+            change: profile.change,
+            blendedPer90: profile.blendedPer90
+        }));
+    }
+};
+
+/**
+ * Run a command and print its rows to stdout
+ */
+async function runCli(argv = process.argv.slice(2)) {
+    // Progress messages from the analysis modules go to stderr so stdout stays parseable
+    const log = console.log;
+    console.log = (...messages) => console.error(...messages);
+
+    try {
+        const { command, args, help, options } = parseCommandLine(argv);
+
+        if (help || !command) {
+            process.stdout.write(`${HELP}\n`);
+            return;
+        }
+        if (!COMMANDS[command]) {
+            throw new Error(`Unknown command "${command}", see --help`);
+        }
+
+        const rows = await COMMANDS[command](options, args);
+        process.stdout.write(`${formatRows(rows, options.format)}\n`);
+
+    } catch (error) {
+        console.error(`fpl: ${error.message}`);
+        process.exitCode = 1;
+    } finally {
+        console.log = log;
+    }
+}
+
+module.exports = {
+    runCli,
+    parseCommandLine,
+    matchesFilters,
+    COMMANDS,
+    POSITION_ALIASES
+};
+
+// Run CLI if this file is executed directly
+if (require.main === module) {
+    runCli();
+}
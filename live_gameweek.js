@@ -0,0 +1,411 @@
+/**
+ * FPL Live Gameweek Tracker
+ * Scores a squad from live gameweek data with automatic substitutions, vice-captain
+ * promotion and provisional bonus from BPS, and can poll for score changes
+ *
+ * Usage: node live_gameweek.js <entryId> [--watch] [--interval <seconds>] [--league <leagueId>]
+ */
+
+const { parseArgs } = require('util');
+const { getBootstrapData, getAllFixtures, getLiveGameweekData, getEntryPicks, getReplaySnapshot } = require('./requests');
+const { FixtureCalendar } = require('./fixture_calendar');
+const { FPLAnalyzer } = require('./analysis');
+const { MiniLeague } = require('./mini_league');
+
+// Outfield formation limits when element_types doesn't provide squad_min_play
+const DEFAULT_MIN_PLAY = { 1: 1, 2: 3, 3: 2, 4: 1 };
+
+const BONUS_POINTS = [3, 2, 1]; // For the top three BPS in a fixture
+const DEFAULT_POLL_SECONDS = 60;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class LiveGameweek {
+    /**
+     * bootstrapData: bootstrap-static data for player positions, teams and events
+     */
+    constructor(bootstrapData) {
+        this.bootstrapData = bootstrapData;
+        this.gameweek = null;
+        this.fixtures = [];
+        this.liveById = new Map();
+        this.provisionalBonus = new Map();
+        this.minPlay = { ...DEFAULT_MIN_PLAY };
+
+        (bootstrapData.element_types || []).forEach(type => {
+            if (type.squad_min_play !== undefined) this.minPlay[type.id] = type.squad_min_play;
+        });
+    }
+
+    /**
+     * Load live data for a gameweek (defaults to the one in progress, or the current one)
+     * fresh bypasses the client cache, for polling
+     */
+    async load(gameweek = null, options = {}) {
+        const fetchOptions = options.fresh ? { fresh: true } : {};
+        const fixtures = await getAllFixtures(fetchOptions);
+        const calendar = new FixtureCalendar(fixtures, this.bootstrapData.teams, this.bootstrapData.events);
+        const currentEvent = this.bootstrapData.events.find(e => e.is_current);
+
+        this.gameweek = gameweek || calendar.getInProgressGameweek() || (currentEvent && currentEvent.id);
+        if (!this.gameweek) {
+            throw new Error('No gameweek has started yet');
+        }
+
+        this.fixtures = fixtures.filter(f => f.event === this.gameweek);
+        const live = await getLiveGameweekData(this.gameweek, fetchOptions);
+        this.liveById = new Map(live.elements.map(element => [element.id, element]));
+        this.provisionalBonus = this.projectBonus();
+
+        return this;
+    }
+
+    /**
+     * Every fixture in the gameweek has finished and had its bonus confirmed
+     */
+    isFinished() {
+        return this.fixtures.length > 0 && this.fixtures.every(f => f.finished);
+    }
+
+    findPlayer(playerId) {
+        return this.bootstrapData.elements.find(p => p.id === playerId);
+    }
+
+    getPlayerFixtures(player) {
+        return this.fixtures.filter(f => f.team_h === player.team || f.team_a === player.team);
+    }
+
+    /**
+     * BPS per player in one fixture, from the fixture's own stats when the API includes them,
+     * otherwise from each player's live breakdown
+     */
+    getFixtureBps(fixture) {
+        const bpsStat = (fixture.stats || []).find(stat => stat.identifier === 'bps');
+        if (bpsStat) {
+            return [...bpsStat.h, ...bpsStat.a].map(entry => ({ element: entry.element, bps: entry.value }));
+        }
+
+        const teamFixtureCount = teamId => this.fixtures.filter(f => f.team_h === teamId || f.team_a === teamId).length;
+
+        return this.bootstrapData.elements
+            .filter(player => player.team === fixture.team_h || player.team === fixture.team_a)
+            .map(player => {
+                const live = this.liveById.get(player.id);
+                if (!live || !live.stats.minutes) return null;
+
+                const explained = (live.explain || []).find(e => e.fixture === fixture.id);
+                const explainedBps = explained && explained.stats.find(stat => stat.identifier === 'bps');
+                if (explainedBps) return { element: player.id, bps: explainedBps.value };
+
+                // Without a breakdown the season-long stats only identify the fixture when there is one
+                return teamFixtureCount(player.team) === 1 ? { element: player.id, bps: live.stats.bps } : null;
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Bonus the current BPS would give, for fixtures whose bonus isn't confirmed yet
+     * Ties share the higher award and push the next player down: 3, 3, 1 or 3, 2, 2
+     */
+    projectBonus() {
+        const bonus = new Map();
+
+        this.fixtures
+            .filter(fixture => fixture.started && !fixture.finished)
+            .forEach(fixture => {
+                const scores = this.getFixtureBps(fixture);
+                scores.forEach(score => {
+                    if (this.hasConfirmedBonus(score.element, fixture)) return;
+                    const rank = scores.filter(other => other.bps > score.bps).length;
+                    const award = BONUS_POINTS[rank] || 0;
+                    if (award > 0) bonus.set(score.element, (bonus.get(score.element) || 0) + award);
+                });
+            });
+
+        return bonus;
+    }
+
+    /**
+     * Whether a player's bonus from one fixture is already in their live points
+     * Decided per fixture, so confirmed bonus in one game of a double doesn't hide the other's
+     */
+    hasConfirmedBonus(playerId, fixture) {
+        const live = this.liveById.get(playerId);
+        if (!live) return false;
+
+        const explained = (live.explain || []).find(e => e.fixture === fixture.id);
+        if (explained) return explained.stats.some(stat => stat.identifier === 'bonus' && stat.points > 0);
+
+        // Without a breakdown, season-long bonus can only be pinned to a fixture when there is one
+        const player = this.findPlayer(playerId);
+        return Boolean(player) && this.getPlayerFixtures(player).length === 1 && live.stats.bonus > 0;
+    }
+
+    /**
+     * Live figures for one player: official points so far plus any provisional bonus
+     */
+    getPlayerLive(playerId) {
+        const player = this.findPlayer(playerId);
+        const live = this.liveById.get(playerId);
+        const stats = live ? live.stats : { minutes: 0, total_points: 0, bps: 0, bonus: 0 };
+        const fixtures = player ? this.getPlayerFixtures(player) : [];
+        // Only covers unfinished fixtures whose bonus isn't in total_points yet (see projectBonus)
+        const provisionalBonus = this.provisionalBonus.get(playerId) || 0;
+
+        return {
+            id: playerId,
+            webName: player ? player.web_name : `#${playerId}`,
+            position: player ? player.element_type : null,
+            minutes: stats.minutes,
+            bps: stats.bps,
+            points: stats.total_points,
+            provisionalBonus,
+            livePoints: stats.total_points + provisionalBonus,
+            // Finished with no minutes (or no fixture at all) means they can't play this gameweek
+            done: fixtures.every(f => f.finished || f.finished_provisional),
+            playing: fixtures.some(f => f.started && !(f.finished || f.finished_provisional))
+        };
+    }
+
+    /**
+     * Live score for a squad from its picks endpoint data, after automatic substitutions
+     */
+    getSquadScore(picksData) {
+        const chip = picksData.active_chip || null;
+        const rows = picksData.picks.map(pick => ({
+            ...this.getPlayerLive(pick.element),
+            pickPosition: pick.position,
+            isCaptain: pick.is_captain,
+            isViceCaptain: pick.is_vice_captain,
+            multiplier: pick.multiplier
+        }));
+
+        // 2, or 3 with Triple Captain; read before substitutions can zero it
+        const captainPick = picksData.picks.find(pick => pick.is_captain);
+        const captainMultiplier = captainPick ? Math.max(2, captainPick.multiplier) : 2;
+
+        // Bench Boost scores all fifteen, so there is nothing to substitute
+        const substitutions = chip === 'bboost' ? [] : this.applyAutoSubs(rows);
+        const captaincy = this.applyViceCaptaincy(rows, captainMultiplier);
+
+        const total = rows.reduce((sum, row) => sum + row.livePoints * row.multiplier, 0);
+        const benchPoints = rows
+            .filter(row => row.multiplier === 0)
+            .reduce((sum, row) => sum + row.livePoints, 0);
+        const transferCost = (picksData.entry_history && picksData.entry_history.event_transfers_cost) || 0;
+
+        return {
+            gameweek: this.gameweek,
+            chip,
+            points: total - transferCost,
+            transferCost,
+            benchPoints,
+            substitutions,
+            captaincy,
+            provisional: !this.isFinished(),
+            picks: rows
+        };
+    }
+
+    /**
+     * Swap starters who can no longer play for bench players who did, in bench order,
+     * keeping one goalkeeper and the minimum number of players in each outfield position
+     * Rows are updated in place; returns the swaps made
+     */
+    applyAutoSubs(rows) {
+        const substitutions = [];
+        rows.forEach(row => { row.inTeam = row.pickPosition <= 11; });
+        const bench = rows.filter(row => !row.inTeam).sort((a, b) => a.pickPosition - b.pickPosition);
+
+        rows
+            .filter(row => row.inTeam && row.minutes === 0 && row.done)
+            .forEach(absent => {
+                const replacement = bench.find(candidate => {
+                    if (candidate.inTeam || candidate.minutes === 0) return false;
+                    // Goalkeepers only replace goalkeepers
+                    if ((candidate.position === 1) !== (absent.position === 1)) return false;
+
+                    const counts = {};
+                    rows
+                        .filter(row => row.inTeam && row !== absent)
+                        .concat(candidate)
+                        .forEach(row => { counts[row.position] = (counts[row.position] || 0) + 1; });
+                    return [2, 3, 4].every(position => (counts[position] || 0) >= this.minPlay[position]);
+                });
+                if (!replacement) return;
+
+                absent.inTeam = false;
+                absent.multiplier = 0;
+                replacement.inTeam = true;
+                replacement.multiplier = 1;
+                substitutions.push({
+                    outId: absent.id,
+                    out: absent.webName,
+                    inId: replacement.id,
+                    in: replacement.webName
+                });
+            });
+
+        rows.forEach(row => delete row.inTeam);
+        return substitutions;
+    }
+
+    /**
+     * Move the captain's multiplier to the vice-captain when the captain can't play
+     * and the vice-captain did, as long as the vice-captain is in the final eleven
+     */
+    applyViceCaptaincy(rows, captainMultiplier) {
+        const captain = rows.find(row => row.isCaptain);
+        const vice = rows.find(row => row.isViceCaptain);
+        const captainOut = captain && captain.minutes === 0 && captain.done;
+
+        if (!captainOut || !vice || vice.minutes === 0 || vice.multiplier === 0) {
+            return { captain: captain ? captain.webName : null, promoted: false };
+        }
+
+        vice.multiplier = captainMultiplier;
+        captain.multiplier = 0;
+        return { captain: vice.webName, promoted: true };
+    }
+
+    /**
+     * Rank-relevant points: what each player's live score gains or loses us against an ownership,
+     * points x (our multiplier - EO); EO defaults to overall selected_by_percent
+     * ownership: Map of player id -> EO % (e.g. from MiniLeague.getEffectiveOwnership)
+     */
+    getRankDeltas(score, ownership = null) {
+        const eoFor = playerId => {
+            if (ownership) return ownership.has(playerId) ? ownership.get(playerId).eo : 0;
+            const player = this.findPlayer(playerId);
+            return player ? parseFloat(player.selected_by_percent) || 0 : 0;
+        };
+
+        const ours = new Set(score.picks.map(row => row.id));
+        const rows = score.picks.map(row => ({ id: row.id, webName: row.webName, livePoints: row.livePoints, multiplier: row.multiplier }));
+
+        // Players we don't own but others do also move our rank when they score
+        const others = ownership
+            ? [...ownership.keys()].filter(id => !ours.has(id))
+            : [...this.liveById.keys()].filter(id => !ours.has(id) && this.getPlayerLive(id).livePoints !== 0);
+        others.forEach(id => {
+            const live = this.getPlayerLive(id);
+            rows.push({ id, webName: live.webName, livePoints: live.livePoints, multiplier: 0 });
+        });
+
+        return rows
+            .map(row => {
+                const eo = eoFor(row.id);
+                return {
+                    ...row,
+                    eo,
+                    delta: parseFloat((row.livePoints * (row.multiplier - eo / 100)).toFixed(2))
+                };
+            })
+            .filter(row => row.delta !== 0)
+            .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+    }
+
+    /**
+     * Display a squad's live score
+     */
+    displayScore(score, deltas = []) {
+        console.log('='.repeat(80));
+        const chip = score.chip ? ` | ${score.chip}` : '';
+        const state = score.provisional ? ' (provisional)' : '';
+        console.log(`GAMEWEEK ${score.gameweek} LIVE: ${score.points} pts${state}${chip}`);
+        console.log('='.repeat(80));
+
+        console.table(score.picks.map(row => ({
+            webName: row.webName,
+            minutes: row.minutes,
+            points: row.points,
+            bonus: row.provisionalBonus ? `+${row.provisionalBonus}?` : '',
+            multiplier: row.multiplier,
+            captain: row.isCaptain ? 'C' : (row.isViceCaptain ? 'VC' : ''),
+            status: row.playing ? 'playing' : (row.done ? 'done' : 'to play')
+        })));
+
+        score.substitutions.forEach(sub => console.log(`Auto-sub: ${sub.out} -> ${sub.in}`));
+        if (score.captaincy.promoted) console.log(`Vice-captain ${score.captaincy.captain} takes the armband`);
+        if (score.transferCost) console.log(`Transfer hits: -${score.transferCost}`);
+        console.log(`Bench: ${score.benchPoints} pts`);
+
+        if (deltas.length > 0) {
+            console.log('\nRANK-RELEVANT POINTS (points x (our multiplier - EO)):');
+            console.table(deltas.slice(0, 10).map(({ id, ...row }) => row));
+        }
+    }
+}
+
+/**
+ * Score an entry's current gameweek, optionally polling and printing changes until it finishes
+ * Options: watchSeconds (poll interval; omit for a single run), leagueId (EO from that league)
+ */
+async function runLiveGameweek(entryId, options = {}) {
+    try {
+        const bootstrapData = await getBootstrapData();
+        const tracker = await new LiveGameweek(bootstrapData).load();
+        const picksData = await getEntryPicks(entryId, tracker.gameweek);
+
+        let ownership = null;
+        if (options.leagueId) {
+            const analyzer = new FPLAnalyzer();
+            await analyzer.initialize();
+            const league = await new MiniLeague(analyzer).load(options.leagueId, { gameweek: tracker.gameweek });
+            ownership = league.getEffectiveOwnership(entryId);
+        }
+
+        let score = tracker.getSquadScore(picksData);
+        tracker.displayScore(score, tracker.getRankDeltas(score, ownership));
+
+        // Replayed data never changes, and a finished gameweek won't either
+        if (!options.watchSeconds || getReplaySnapshot()) return score;
+
+        while (!tracker.isFinished()) {
+            await sleep(options.watchSeconds * 1000);
+            await tracker.load(tracker.gameweek, { fresh: true });
+
+            const previous = score;
+            score = tracker.getSquadScore(picksData);
+            const changes = score.picks.filter(row => {
+                const before = previous.picks.find(p => p.id === row.id);
+                return !before || before.livePoints !== row.livePoints || before.multiplier !== row.multiplier;
+            });
+
+            if (changes.length > 0 || score.points !== previous.points) {
+                const time = new Date().toTimeString().slice(0, 8);
+                changes.forEach(row => {
+                    const before = previous.picks.find(p => p.id === row.id);
+                    console.log(`[${time}] ${row.webName}: ${before ? before.livePoints : 0} -> ${row.livePoints} pts`);
+                });
+                console.log(`[${time}] Total: ${previous.points} -> ${score.points}`);
+            }
+        }
+
+        console.log('Gameweek finished.');
+        tracker.displayScore(score, tracker.getRankDeltas(score, ownership));
+        return score;
+
+    } catch (error) {
+        console.error('Live gameweek tracking failed:', error.message);
+        throw error;
+    }
+}
+
+module.exports = {
+    LiveGameweek,
+    runLiveGameweek
+};
+
+// Track a team if this file is executed directly
+if (require.main === module) {
+    const { values, positionals } = parseArgs({
+        options: { watch: { type: 'boolean' }, interval: { type: 'string' }, league: { type: 'string' } },
+        allowPositionals: true
+    });
+
+    runLiveGameweek(parseInt(positionals[0], 10), {
+        watchSeconds: values.watch ? (parseInt(values.interval, 10) || DEFAULT_POLL_SECONDS) : null,
+        leagueId: values.league ? parseInt(values.league, 10) : null
+    });
+}
@@ -0,0 +1,262 @@
+/**
+ * FPL Manager Team Module
+ * Loads a manager's real team from the entry endpoints and resolves picks to player data
+ */
+
+const { getEntry, getEntryHistory, getEntryTransfers, getEntryPicks } = require('./requests');
+const { FPLAnalyzer } = require('./analysis');
+const { getSellingPrice } = require('./transfer_planner');
+
+const MAX_FREE_TRANSFERS = 5;
+
+class ManagerTeam {
+    /**
+     * analyzer: an initialized FPLAnalyzer whose player data the picks are resolved against
+     */
+    constructor(analyzer) {
+        this.analyzer = analyzer;
+        this.entryId = null;
+        this.entry = null;
+        this.history = null;
+        this.picksData = null;
+        this.transfers = null;
+        this.gameweek = null;
+    }
+
+    /**
+     * Load entry, history and picks for a manager (defaults to their current gameweek)
+     */
+    async load(entryId, gameweek = null) {
+        this.entryId = entryId;
+        this.entry = await getEntry(entryId);
+        this.history = await getEntryHistory(entryId);
+
+        this.gameweek = gameweek || this.entry.current_event;
+        if (!this.gameweek) {
+            throw new Error(`Entry ${entryId} has not played a gameweek yet`);
+        }
+
+        this.picksData = await getEntryPicks(entryId, this.gameweek);
+
+        // Only needed for purchase prices; without them selling prices fall back to current prices
+        try {
+            this.transfers = await getEntryTransfers(entryId);
+        } catch (error) {
+            this.transfers = null;
+            console.warn(`Transfers unavailable for entry ${entryId}; selling prices use current prices`);
+        }
+
+        console.log(`Loaded team "${this.entry.name}" for gameweek ${this.gameweek}`);
+        return this;
+    }
+
+    /**
+     * Picks resolved to player details, in pick order (1-11 starters, 12-15 bench)
+     */
+    getPlayers() {
+        return this.picksData.picks.map(pick => {
+            const player = this.analyzer.allPlayersData.find(p => p.id === pick.element);
+            if (!player) {
+                throw new Error(`Picked player ${pick.element} not found in player data`);
+            }
+
+            return {
+                id: player.id,
+                name: `${player.first_name} ${player.second_name}`,
+                webName: player.web_name,
+                position: this.analyzer.getPositionName(player.element_type),
+                positionId: player.element_type,
+                team: this.analyzer.getTeamName(player.team),
+                teamId: player.team,
+                cost: player.now_cost / 10,
+                totalPoints: player.total_points,
+                form: parseFloat(player.form),
+                selectedBy: parseFloat(player.selected_by_percent),
+                pickPosition: pick.position,
+                multiplier: pick.multiplier,
+                isCaptain: pick.is_captain,
+                isViceCaptain: pick.is_vice_captain,
+                isStarter: pick.position <= 11,
+                player
+            };
+        });
+    }
+
+    getStartingXI() {
+        return this.getPlayers().filter(p => p.isStarter);
+    }
+
+    getBench() {
+        return this.getPlayers().filter(p => !p.isStarter);
+    }
+
+    getCaptain() {
+        return this.getPlayers().find(p => p.isCaptain) || null;
+    }
+
+    getViceCaptain() {
+        return this.getPlayers().find(p => p.isViceCaptain) || null;
+    }
+
+    /**
+     * Money in the bank (£m) after the loaded gameweek's transfers
+     */
+    getBank() {
+        return this.picksData.entry_history.bank / 10;
+    }
+
+    /**
+     * Squad value (£m) at current prices, not including the bank
+     */
+    getTeamValue() {
+        return this.picksData.entry_history.value / 10;
+    }
+
+    /**
+     * Price paid for a player in tenths: the latest transfer in up to the loaded gameweek
+     * (Free Hit weeks revert, so they're skipped), else the start-of-season price
+     * Returns null when transfers couldn't be loaded
+     */
+    getPurchaseCost(player) {
+        if (!this.transfers) return null;
+
+        const freeHitWeeks = new Set((this.history.chips || [])
+            .filter(chip => chip.name === 'freehit')
+            .map(chip => chip.event));
+        const transferIn = this.transfers
+            .filter(t => t.element_in === player.id && t.event <= this.gameweek && !freeHitWeeks.has(t.event))
+            .sort((a, b) => b.event - a.event)[0];
+
+        return transferIn ? transferIn.element_in_cost : player.now_cost - (player.cost_change_start || 0);
+    }
+
+    /**
+     * What the squad would sell for (£m): half of any price rise is kept, falls are taken in full
+     */
+    getSellingValue() {
+        const total = this.getPlayers().reduce((sum, p) => {
+            const purchaseCost = this.getPurchaseCost(p.player);
+            return sum + (purchaseCost === null ? p.player.now_cost : getSellingPrice(purchaseCost, p.player.now_cost));
+        }, 0);
+        return total / 10;
+    }
+
+    /**
+     * Money available to rebuild the squad (£m), as on a Wildcard or Free Hit: selling value plus the bank
+     */
+    getBudget() {
+        return parseFloat((this.getSellingValue() + this.getBank()).toFixed(1));
+    }
+
+    getActiveChip() {
+        return this.picksData.active_chip || null;
+    }
+
+    /**
+     * Chips already played this season, e.g. [{ name: 'wildcard', event: 5 }]
+     */
+    getChipsUsed() {
+        return (this.history.chips || []).map(chip => ({ name: chip.name, event: chip.event }));
+    }
+
+    /**
+     * Estimate free transfers available for the next gameweek from transfer history
+     * One free transfer is gained each week after the first, unused ones roll over up to the cap,
+     * and weeks played with a Wildcard or Free Hit leave the count unchanged
+     */
+    estimateFreeTransfers() {
+        const chipWeeks = new Set((this.history.chips || [])
+            .filter(chip => chip.name === 'wildcard' || chip.name === 'freehit')
+            .map(chip => chip.event));
+
+        const weeks = [...(this.history.current || [])].sort((a, b) => a.event - b.event);
+        let freeTransfers = 1;
+
+        // The first gameweek is free to set up the team, so counting starts the week after
+        weeks.slice(1).forEach(week => {
+            // Wildcard and Free Hit weeks neither spend nor earn a free transfer
+            if (week.event > this.gameweek || chipWeeks.has(week.event)) return;
+            freeTransfers = Math.max(0, freeTransfers - week.event_transfers);
+            freeTransfers = Math.min(MAX_FREE_TRANSFERS, freeTransfers + 1);
+        });
+
+        return weeks.length > 0 ? freeTransfers : 1;
+    }
+
+    /**
+     * Squad in the shape TransferPlanner.planTransfers expects
+     * Purchase prices come from the transfer history; without it current prices are used
+     */
+    toPlannerSquad() {
+        return this.getPlayers().map(p => {
+            const purchaseCost = this.getPurchaseCost(p.player);
+            return purchaseCost === null ? { id: p.id } : { id: p.id, purchasePrice: purchaseCost / 10 };
+        });
+    }
+
+    /**
+     * Summary of the manager and loaded gameweek
+     */
+    getSummary() {
+        const entryHistory = this.picksData.entry_history;
+
+        return {
+            entryId: this.entryId,
+            teamName: this.entry.name,
+            manager: `${this.entry.player_first_name} ${this.entry.player_last_name}`,
+            gameweek: this.gameweek,
+            gameweekPoints: entryHistory.points,
+            totalPoints: entryHistory.total_points,
+            overallRank: entryHistory.overall_rank,
+            bank: this.getBank(),
+            teamValue: this.getTeamValue(),
+            sellingValue: this.getSellingValue(),
+            activeChip: this.getActiveChip(),
+            freeTransfers: this.estimateFreeTransfers()
+        };
+    }
+}
+
+/**
+ * Example usage: node manager_team.js <entryId> [gameweek]
+ */
+async function runManagerTeam(entryId, gameweek = null) {
+    try {
+        const analyzer = new FPLAnalyzer();
+        await analyzer.initialize();
+
+        const team = await new ManagerTeam(analyzer).load(entryId, gameweek);
+
+        console.log('\n=== MANAGER ===');
+        console.log(team.getSummary());
+
+        const toRow = p => ({
+            webName: p.webName,
+            position: p.position,
+            team: p.team,
+            cost: p.cost,
+            form: p.form,
+            captain: p.isCaptain ? 'C' : (p.isViceCaptain ? 'VC' : '')
+        });
+
+        analyzer.printAnalysis(team.getStartingXI().map(toRow), 'STARTING XI');
+        analyzer.printAnalysis(team.getBench().map(toRow), 'BENCH');
+
+        return team;
+
+    } catch (error) {
+        console.error('Loading manager team failed:', error.message);
+        throw error;
+    }
+}
+
+module.exports = {
+    ManagerTeam,
+    runManagerTeam
+};
+
+// Load a team if this file is executed directly
+if (require.main === module) {
+    const [entryId, gameweek] = process.argv.slice(2).map(Number);
+    runManagerTeam(entryId, gameweek || null);
+}
@@ -0,0 +1,324 @@
+/**
+ * FPL Mini-League Analysis
+ * Loads a classic league's standings and every rival's picks, and measures ownership,
+ * differentials and rank swings against that league instead of the whole game
+ */
+
+const { getLeagueStandings, getEntryPicks } = require('./requests');
+const { FPLAnalyzer } = require('./analysis');
+
+const STANDINGS_PAGE_SIZE = 50; // Entries per standings page in the FPL API
+const DEFAULT_MAX_ENTRIES = 50;
+
+// Points used for the best and worst case when estimating rank swings
+const HAUL_POINTS = 12;
+const BLANK_POINTS = 2;
+
+// Our players with rival effective ownership (%) below this are true differentials
+const DIFFERENTIAL_EO = 25;
+
+class MiniLeague {
+    /**
+     * analyzer: an initialized FPLAnalyzer whose player data the picks are resolved against
+     */
+    constructor(analyzer) {
+        this.analyzer = analyzer;
+        this.league = null;
+        this.gameweek = null;
+        this.members = [];
+        this.picks = {}; // Picks by entry id
+        this.failedEntries = [];
+    }
+
+    /**
+     * Load standings (up to maxEntries, in rank order) and each member's picks for a gameweek
+     * (defaults to the current one)
+     */
+    async load(leagueId, options = {}) {
+        const { gameweek = null, maxEntries = DEFAULT_MAX_ENTRIES } = options;
+        const currentEvent = this.analyzer.bootstrapData.events.find(e => e.is_current);
+        this.gameweek = gameweek || (currentEvent && currentEvent.id);
+        if (!this.gameweek) {
+            throw new Error('No gameweek has started yet, so there are no picks to compare');
+        }
+
+        const results = [];
+        for (let page = 1; results.length < maxEntries; page++) {
+            const data = await getLeagueStandings(leagueId, page);
+            this.league = data.league;
+            results.push(...data.standings.results);
+            if (!data.standings.has_next || data.standings.results.length < STANDINGS_PAGE_SIZE) break;
+        }
+
+        this.members = results.slice(0, maxEntries).map(result => ({
+            entryId: result.entry,
+            entryName: result.entry_name,
+            manager: result.player_name,
+            rank: result.rank,
+            lastRank: result.last_rank,
+            total: result.total,
+            eventTotal: result.event_total
+        }));
+
+        this.picks = {};
+        this.failedEntries = [];
+        await Promise.all(this.members.map(async member => {
+            try {
+                const data = await getEntryPicks(member.entryId, this.gameweek);
+                this.picks[member.entryId] = data.picks;
+            } catch (error) {
+                this.failedEntries.push(member.entryId);
+            }
+        }));
+
+        if (this.failedEntries.length > 0) {
+            console.warn(`Picks missing for ${this.failedEntries.length} entries; they count as owning nobody`);
+        }
+        console.log(`Loaded league "${this.league.name}": ${this.members.length} entries, gameweek ${this.gameweek}`);
+        return this;
+    }
+
+    getMember(entryId) {
+        const member = this.members.find(m => m.entryId === entryId);
+        if (!member) {
+            throw new Error(`Entry ${entryId} is not among the ${this.members.length} loaded entries of "${this.league.name}"`);
+        }
+        return member;
+    }
+
+    /**
+     * Points multiplier an entry gets from a player: 0 benched or not owned, 1 starting,
+     * 2 captained, 3 triple captained
+     */
+    getMultiplier(entryId, playerId) {
+        const pick = (this.picks[entryId] || []).find(p => p.element === playerId);
+        return pick ? pick.multiplier : 0;
+    }
+
+    /**
+     * Effective ownership within the league: the average multiplier across entries as a %,
+     * so 100% means every rival starts the player and 200% means every rival captains them
+     * excludeEntryId leaves one entry out (usually our own) to see what rivals hold
+     */
+    getEffectiveOwnership(excludeEntryId = null) {
+        const entryIds = Object.keys(this.picks).map(Number).filter(id => id !== excludeEntryId);
+        const byPlayer = new Map();
+
+        entryIds.forEach(entryId => {
+            this.picks[entryId].forEach(pick => {
+                if (!byPlayer.has(pick.element)) {
+                    byPlayer.set(pick.element, { owned: 0, started: 0, captained: 0, multiplier: 0 });
+                }
+                const counts = byPlayer.get(pick.element);
+                counts.owned++;
+                if (pick.multiplier > 0) counts.started++;
+                if (pick.is_captain) counts.captained++;
+                counts.multiplier += pick.multiplier;
+            });
+        });
+
+        const percent = count => (entryIds.length > 0 ? parseFloat((count / entryIds.length * 100).toFixed(1)) : 0);
+        const ownership = new Map();
+        byPlayer.forEach((counts, playerId) => {
+            ownership.set(playerId, {
+                owned: percent(counts.owned),
+                started: percent(counts.started),
+                captained: percent(counts.captained),
+                eo: percent(counts.multiplier)
+            });
+        });
+
+        return ownership;
+    }
+
+    /**
+     * Effective ownership table, highest first
+     */
+    getOwnershipTable(limit = 20, excludeEntryId = null) {
+        return [...this.getEffectiveOwnership(excludeEntryId).entries()]
+            .map(([playerId, ownership]) => ({ ...this.describePlayer(playerId), ...ownership }))
+            .sort((a, b) => b.eo - a.eo)
+            .slice(0, limit);
+    }
+
+    /**
+     * Our players against rivals' effective ownership
+     * edge is our multiplier as a % minus rival EO: positive when the player gains us ground
+     */
+    getDifferentials(entryId) {
+        this.getMember(entryId);
+        const rivalOwnership = this.getEffectiveOwnership(entryId);
+
+        return (this.picks[entryId] || [])
+            .map(pick => {
+                const rivals = rivalOwnership.get(pick.element) || { owned: 0, eo: 0 };
+                const player = this.findPlayer(pick.element);
+                return {
+                    ...this.describePlayer(pick.element),
+                    multiplier: pick.multiplier,
+                    rivalOwned: rivals.owned,
+                    rivalEO: rivals.eo,
+                    globalOwnership: player ? parseFloat(player.selected_by_percent) : null,
+                    edge: parseFloat((pick.multiplier * 100 - rivals.eo).toFixed(1)),
+                    isDifferential: pick.multiplier > 0 && rivals.eo < DIFFERENTIAL_EO
+                };
+            })
+            .sort((a, b) => b.edge - a.edge);
+    }
+
+    /**
+     * Players rivals start that we don't, biggest rival EO first
+     */
+    getThreats(entryId, limit = 10) {
+        this.getMember(entryId);
+
+        return [...this.getEffectiveOwnership(entryId).entries()]
+            .filter(([playerId, ownership]) => ownership.eo > 0 && this.getMultiplier(entryId, playerId) === 0)
+            .map(([playerId, ownership]) => ({ ...this.describePlayer(playerId), rivalEO: ownership.eo }))
+            .sort((a, b) => b.rivalEO - a.rivalEO)
+            .slice(0, limit);
+    }
+
+    /**
+     * Our league rank if one player scores `points` and everything else stays as it is,
+     * with our multiplier for that player set to ourMultiplier
+     */
+    getRankAfter(entryId, playerId, ourMultiplier, points) {
+        const ourTotal = this.getMember(entryId).total + points * ourMultiplier;
+        const ahead = this.members.filter(member =>
+            member.entryId !== entryId &&
+            member.total + points * this.getMultiplier(member.entryId, playerId) > ourTotal);
+        return ahead.length + 1;
+    }
+
+    /**
+     * Rank if the player hauls and if they blank; swing is the gap between the two
+     */
+    getRankSwing(entryId, playerId, ourMultiplier) {
+        const haulRank = this.getRankAfter(entryId, playerId, ourMultiplier, HAUL_POINTS);
+        const blankRank = this.getRankAfter(entryId, playerId, ourMultiplier, BLANK_POINTS);
+        return { haulRank, blankRank, swing: blankRank - haulRank };
+    }
+
+    /**
+     * Rank swing for captaining each of our starters
+     */
+    getCaptainSwings(entryId) {
+        const rivalOwnership = this.getEffectiveOwnership(entryId);
+
+        return (this.picks[entryId] || [])
+            .filter(pick => pick.multiplier > 0)
+            .map(pick => ({
+                ...this.describePlayer(pick.element),
+                rivalEO: (rivalOwnership.get(pick.element) || { eo: 0 }).eo,
+                ...this.getRankSwing(entryId, pick.element, 2)
+            }))
+            .sort((a, b) => a.haulRank - b.haulRank || b.swing - a.swing);
+    }
+
+    /**
+     * Rank swing for bringing in and starting each candidate (defaults to the biggest threats)
+     */
+    getTransferSwings(entryId, candidateIds = null) {
+        const ids = candidateIds || this.getThreats(entryId).map(p => p.id);
+        const rivalOwnership = this.getEffectiveOwnership(entryId);
+
+        return ids
+            .filter(playerId => this.findPlayer(playerId))
+            .map(playerId => ({
+                ...this.describePlayer(playerId),
+                rivalEO: (rivalOwnership.get(playerId) || { eo: 0 }).eo,
+                ifNotOwned: this.getRankSwing(entryId, playerId, 0),
+                ifStarted: this.getRankSwing(entryId, playerId, 1)
+            }))
+            .map(row => ({
+                id: row.id,
+                webName: row.webName,
+                team: row.team,
+                cost: row.cost,
+                rivalEO: row.rivalEO,
+                haulRankWithout: row.ifNotOwned.haulRank,
+                haulRankWith: row.ifStarted.haulRank,
+                // Places a haul is worth to us by owning the player rather than leaving them to rivals
+                protectedPlaces: row.ifNotOwned.haulRank - row.ifStarted.haulRank
+            }))
+            .sort((a, b) => b.protectedPlaces - a.protectedPlaces || b.rivalEO - a.rivalEO);
+    }
+
+    findPlayer(playerId) {
+        return this.analyzer.allPlayersData.find(p => p.id === playerId);
+    }
+
+    describePlayer(playerId) {
+        const player = this.findPlayer(playerId);
+        if (!player) return { id: playerId, webName: `#${playerId}`, team: 'Unknown', cost: null };
+        return {
+            id: player.id,
+            webName: player.web_name,
+            team: this.analyzer.getTeamName(player.team),
+            cost: player.now_cost / 10
+        };
+    }
+
+    /**
+     * Display our differentials, threats and swings
+     */
+    displayAnalysis(entryId) {
+        const member = this.getMember(entryId);
+
+        console.log('='.repeat(80));
+        console.log(`MINI-LEAGUE: ${this.league.name} - ${member.entryName} (rank ${member.rank} of ${this.members.length})`);
+        console.log('='.repeat(80));
+
+        console.log(`\nOUR PLAYERS VS RIVAL EFFECTIVE OWNERSHIP (differential below ${DIFFERENTIAL_EO}% EO):`);
+        console.table(this.getDifferentials(entryId).map(p => ({
+            webName: p.webName,
+            team: p.team,
+            multiplier: p.multiplier,
+            rivalEO: `${p.rivalEO}%`,
+            globalOwnership: p.globalOwnership !== null ? `${p.globalOwnership}%` : 'n/a',
+            edge: p.edge,
+            differential: p.isDifferential ? 'yes' : ''
+        })));
+
+        console.log('\nRIVAL PLAYERS WE DON\'T START:');
+        console.table(this.getThreats(entryId));
+
+        console.log(`\nCAPTAIN RANK SWINGS (rank if the captain scores ${HAUL_POINTS} vs ${BLANK_POINTS}):`);
+        console.table(this.getCaptainSwings(entryId).map(({ id, ...row }) => row));
+
+        console.log('\nTRANSFER RANK SWINGS (places protected if the player hauls):');
+        console.table(this.getTransferSwings(entryId).map(({ id, ...row }) => row));
+    }
+}
+
+/**
+ * Example usage: node mini_league.js <leagueId> <entryId>
+ */
+async function runMiniLeague(leagueId, entryId) {
+    try {
+        const analyzer = new FPLAnalyzer();
+        await analyzer.initialize();
+
+        const league = await new MiniLeague(analyzer).load(leagueId);
+        league.displayAnalysis(entryId);
+
+        return league;
+
+    } catch (error) {
+        console.error('Mini-league analysis failed:', error.message);
+        throw error;
+    }
+}
+
+module.exports = {
+    MiniLeague,
+    runMiniLeague,
+    DEFAULT_MAX_ENTRIES
+};
+
+// Run analysis if this file is executed directly
+if (require.main === module) {
+    const [leagueId, entryId] = process.argv.slice(2).map(Number);
+    runMiniLeague(leagueId, entryId);
+}
@@ -0,0 +1,223 @@
+/**
+ * FPL Minutes Model
+ * Start rate, start streaks, minutes when starting and the chance of 60+ minutes next week,
+ * from per-match history (or bootstrap season totals when history isn't loaded)
+ */
+
+const { getBootstrapData, getPlayerData } = require('./requests');
+const { getChanceOfPlaying } = require('./availability');
+
+const RECENT_MATCHES = 5; // Window for the recent start rate
+const RECENT_WEIGHT = 0.6; // Share of the start probability taken from recent matches rather than the season
+const SIXTY_PRIOR = 0.8; // Typical share of starts that reach 60 minutes
+const SIXTY_PRIOR_STARTS = 2; // The prior counts as this many starts of evidence
+
+// Regular starter: enough starts, starting most recent matches, and usually staying on
+const MIN_STARTS = 3;
+const MIN_START_RATE = 0.6;
+const MIN_MINUTES_WHEN_STARTING = 60;
+
+class MinutesModel {
+    /**
+     * bootstrapData: bootstrap-static data (players and events)
+     */
+    constructor(bootstrapData) {
+        this.bootstrapData = bootstrapData;
+        this.histories = {};
+        this.profileCache = {};
+    }
+
+    /**
+     * Load per-match history for players; without it profiles use bootstrap totals
+     */
+    async loadHistories(playerIds = this.bootstrapData.elements.map(p => p.id)) {
+        await Promise.all(playerIds.map(async playerId => {
+            try {
+                const data = await getPlayerData(playerId);
+                this.histories[playerId] = data.history || [];
+                delete this.profileCache[playerId];
+            } catch (error) {
+                console.error(`Error loading history for player ${playerId}:`, error.message);
+            }
+        }));
+    }
+
+    /**
+     * Use histories that are already loaded (player id -> history rows)
+     */
+    setHistories(histories) {
+        this.histories = { ...histories };
+        this.profileCache = {};
+    }
+
+    /**
+     * Minutes profile for a player
+     * { source, matches, starts, startRate, recentStartRate, startStreak, benchStreak,
+     *   avgMinutesWhenStarting, startProbability, sixtyProbability, rotationRisk }
+     */
+    getProfile(player) {
+        if (this.profileCache[player.id]) return this.profileCache[player.id];
+
+        const history = this.histories[player.id];
+        const profile = history && history.length > 0
+            ? this.profileFromHistory(history)
+            : this.profileFromBootstrap(player);
+
+        // Flagged players are less likely to feature at all
+        const chance = getChanceOfPlaying(player);
+        profile.startProbability *= chance;
+        profile.sixtyProbability *= chance;
+        profile.rotationRisk = this.getRotationRisk(profile.sixtyProbability);
+
+        Object.keys(profile).forEach(key => {
+            if (typeof profile[key] === 'number' && !Number.isInteger(profile[key])) {
+                profile[key] = parseFloat(profile[key].toFixed(2));
+            }
+        });
+
+        this.profileCache[player.id] = profile;
+        return profile;
+    }
+
+    profileFromHistory(history) {
+        const matches = [...history].sort((a, b) => a.round - b.round || a.fixture - b.fixture);
+        // Older seasons' histories have no starts field; 60+ minutes is the closest stand-in
+        const started = gw => (gw.starts !== undefined ? gw.starts > 0 : gw.minutes >= 60);
+
+        const starts = matches.filter(started);
+        const recent = matches.slice(-RECENT_MATCHES);
+        const startRate = starts.length / matches.length;
+        const recentStartRate = recent.filter(started).length / recent.length;
+
+        // Consecutive starts (or non-starts) counting back from the latest match
+        let startStreak = 0;
+        let benchStreak = 0;
+        for (let i = matches.length - 1; i >= 0; i--) {
+            if (started(matches[i])) {
+                if (benchStreak > 0) break;
+                startStreak++;
+            } else {
+                if (startStreak > 0) break;
+                benchStreak++;
+            }
+        }
+
+        const avgMinutesWhenStarting = starts.length > 0
+            ? starts.reduce((sum, gw) => sum + gw.minutes, 0) / starts.length
+            : 0;
+        const sixtyWhenStarting = (starts.filter(gw => gw.minutes >= 60).length + SIXTY_PRIOR * SIXTY_PRIOR_STARTS) /
+            (starts.length + SIXTY_PRIOR_STARTS);
+
+        const startProbability = RECENT_WEIGHT * recentStartRate + (1 - RECENT_WEIGHT) * startRate;
+
+        return {
+            source: 'history',
+            matches: matches.length,
+            starts: starts.length,
+            startRate,
+            recentStartRate,
+            startStreak,
+            benchStreak,
+            avgMinutesWhenStarting,
+            startProbability,
+            sixtyProbability: startProbability * sixtyWhenStarting
+        };
+    }
+
+    /**
+     * Season-level estimate from bootstrap starts and minutes; no recent form or streaks
+     */
+    profileFromBootstrap(player) {
+        const matches = Math.max(1, (this.bootstrapData.events || []).filter(e => e.finished).length);
+        const starts = player.starts !== undefined ? player.starts : Math.floor(player.minutes / 90);
+        const startRate = Math.min(1, starts / matches);
+
+        // Minutes off the bench are unknown here, so all minutes are credited to starts
+        const avgMinutesWhenStarting = starts > 0 ? Math.min(90, player.minutes / starts) : 0;
+        // Assume starters averaging 85+ minutes almost always reach 60, falling away below that
+        const sixtyWhenStarting = Math.min(1, Math.max(0, (avgMinutesWhenStarting - 45) / 40));
+
+        return {
+            source: 'bootstrap',
+            matches,
+            starts,
+            startRate,
+            recentStartRate: startRate,
+            startStreak: null,
+            benchStreak: null,
+            avgMinutesWhenStarting,
+            startProbability: startRate,
+            sixtyProbability: startRate * sixtyWhenStarting
+        };
+    }
+
+    getRotationRisk(sixtyProbability) {
+        if (sixtyProbability >= 0.8) return 'nailed';
+        if (sixtyProbability >= 0.5) return 'minor rotation risk';
+        if (sixtyProbability >= 0.25) return 'rotation risk';
+        return 'bench';
+    }
+
+    /**
+     * Regular starter: enough starts, starting most recent matches, and usually playing 60+ when starting
+     */
+    isRegularStarter(player) {
+        const profile = this.getProfile(player);
+        return profile.starts >= MIN_STARTS &&
+            profile.recentStartRate >= MIN_START_RATE &&
+            profile.avgMinutesWhenStarting >= MIN_MINUTES_WHEN_STARTING;
+    }
+
+    /**
+     * Players ranked by chance of 60+ minutes next week
+     */
+    getRankings(position = null) {
+        return this.bootstrapData.elements
+            .filter(player => !position || player.element_type === position)
+            .map(player => ({
+                id: player.id,
+                webName: player.web_name,
+                cost: player.now_cost / 10,
+                ...this.getProfile(player)
+            }))
+            .sort((a, b) => b.sixtyProbability - a.sixtyProbability);
+    }
+}
+
+/**
+ * Example usage: node minutes_model.js [playerId,...]
+ */
+async function runMinutesModel(playerIds = []) {
+    try {
+        const bootstrapData = await getBootstrapData();
+
+        const model = new MinutesModel(bootstrapData);
+        const ids = playerIds.length > 0 ? playerIds : bootstrapData.elements.map(p => p.id);
+        await model.loadHistories(ids);
+
+        const rows = ids
+            .map(id => bootstrapData.elements.find(p => p.id === id))
+            .filter(Boolean)
+            .map(player => ({ webName: player.web_name, ...model.getProfile(player) }))
+            .sort((a, b) => b.sixtyProbability - a.sixtyProbability);
+
+        console.log('\n=== MINUTES AND ROTATION RISK ===');
+        console.table(rows.slice(0, 30));
+
+        return rows;
+
+    } catch (error) {
+        console.error('Minutes model failed:', error.message);
+        throw error;
+    }
+}
+
+module.exports = {
+    MinutesModel,
+    runMinutesModel
+};
+
+// Run model if this file is executed directly
+if (require.main === module) {
+    runMinutesModel((process.argv[2] || '').split(',').filter(Boolean).map(Number));
+}
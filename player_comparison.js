@@ -0,0 +1,200 @@
+/**
+ * FPL Player Comparison
+ * Lays two to five players side by side (season stats, per-90 rates, recent points, price,
+ * ownership and upcoming fixtures) and picks one on projected points over a horizon
+ */
+
+const { FPLAnalyzer, findPlayer } = require('./analysis');
+const { TeamDefenseAnalyzer, PlayerFixtureAnalyzer } = require('./team_analysis');
+const { ExpectedPointsModel } = require('./expected_points');
+
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 5;
+const DEFAULT_RECENT_GAMEWEEKS = 5;
+const CLOSE_MARGIN_PER_GAMEWEEK = 0.5; // Projections closer than this per gameweek are a toss-up
+
+const round2 = value => parseFloat(value.toFixed(2));
+const per90 = (count, minutes) => (minutes > 0 ? round2(count / (minutes / 90)) : 0);
+
+class PlayerComparison {
+    /**
+     * analyzer: an initialized FPLAnalyzer
+     * fixtureAnalyzer: an initialized PlayerFixtureAnalyzer for fixtures and vulnerability scores
+     * options.projectionModel: an ExpectedPointsModel to project with xP instead of form x fixtures
+     * options.recentGameweeks: how many of the latest gameweeks to total points over
+     */
+    constructor(analyzer, fixtureAnalyzer, options = {}) {
+        this.analyzer = analyzer;
+        this.fixtureAnalyzer = fixtureAnalyzer;
+        this.projectionModel = options.projectionModel || null;
+        this.recentGameweeks = options.recentGameweeks || DEFAULT_RECENT_GAMEWEEKS;
+        this.players = [];
+        this.details = {}; // getDetailedPlayerStats results by player id
+    }
+
+    /**
+     * Resolve player ids or names and load each player's detailed data
+     */
+    async load(queries) {
+        const players = queries.map(query => findPlayer(this.analyzer.allPlayersData, query));
+        const uniqueIds = new Set(players.map(p => p.id));
+        if (uniqueIds.size !== players.length) {
+            throw new Error('The same player was given more than once');
+        }
+        if (players.length < MIN_PLAYERS || players.length > MAX_PLAYERS) {
+            throw new Error(`Compare between ${MIN_PLAYERS} and ${MAX_PLAYERS} players, got ${players.length}`);
+        }
+
+        this.players = players;
+        this.details = {};
+        await Promise.all(players.map(async player => {
+            this.details[player.id] = await this.analyzer.getDetailedPlayerStats(player.id);
+        }));
+        return this;
+    }
+
+    /**
+     * Points over the most recent gameweeks the player's history covers (doubles count both games)
+     */
+    getRecentPoints(playerId) {
+        const history = this.details[playerId].gameweekHistory;
+        const rounds = [...new Set(history.map(gw => gw.round))].sort((a, b) => b - a).slice(0, this.recentGameweeks);
+        return history
+            .filter(gw => rounds.includes(gw.round))
+            .reduce((sum, gw) => sum + gw.total_points, 0);
+    }
+
+    /**
+     * Projected points over the horizon, from the xP model when attached
+     */
+    getProjectedPoints(playerId, horizon) {
+        const points = this.projectionModel
+            ? this.projectionModel.getExpectedPoints(playerId, horizon)
+            : this.fixtureAnalyzer.getProjectedPoints(playerId, horizon);
+        return round2(points);
+    }
+
+    /**
+     * One comparison row per player, best projection first
+     */
+    compare(horizon = 3) {
+        return this.players
+            .map(player => {
+                const { basicInfo, seasonStats } = this.details[player.id];
+                const underlying = this.analyzer.getUnderlyingStats(player);
+                const fixtures = this.fixtureAnalyzer.getPlayerUpcomingFixtures(player.id, horizon);
+
+                return {
+                    id: player.id,
+                    ...basicInfo,
+                    ...seasonStats,
+                    xGI: underlying.xGI,
+                    pointsPer90: per90(player.total_points, player.minutes),
+                    goalsPer90: per90(player.goals_scored, player.minutes),
+                    assistsPer90: per90(player.assists, player.minutes),
+                    xGIPer90: underlying.xGIPer90,
+                    bonusPer90: per90(player.bonus, player.minutes),
+                    recentPoints: this.getRecentPoints(player.id),
+                    fixtures: fixtures.map(f =>
+                        `${f.opponent} (${f.isHome ? 'H' : 'A'}) ${f.vulnerabilityScore.toFixed(1)}`).join(', ') || 'Blank',
+                    avgVulnerability: fixtures.length > 0
+                        ? round2(fixtures.reduce((sum, f) => sum + f.vulnerabilityScore, 0) / fixtures.length)
+                        : 0,
+                    projectedPoints: this.getProjectedPoints(player.id, horizon)
+                };
+            })
+            .sort((a, b) => b.projectedPoints - a.projectedPoints);
+    }
+
+    /**
+     * One line naming the pick on projected points, or a toss-up settled by price
+     */
+    getVerdict(rows, horizon) {
+        const [best, runnerUp] = rows;
+        const margin = round2(best.projectedPoints - runnerUp.projectedPoints);
+        const window = `the next ${horizon} gameweek${horizon === 1 ? '' : 's'}`;
+
+        if (margin < CLOSE_MARGIN_PER_GAMEWEEK * horizon) {
+            const cheapest = [best, runnerUp].sort((a, b) => a.cost - b.cost)[0];
+            const saving = round2(Math.abs(best.cost - runnerUp.cost));
+            return `Verdict: too close to call over ${window} (${best.webName} ${best.projectedPoints} vs ` +
+                `${runnerUp.webName} ${runnerUp.projectedPoints} pts)` +
+                (saving > 0 ? `; ${cheapest.webName} saves £${saving}m` : '');
+        }
+
+        return `Verdict: ${best.webName} - ${best.projectedPoints} projected points over ${window}, ` +
+            `${margin} ahead of ${runnerUp.webName}`;
+    }
+
+    /**
+     * Side-by-side layout: one row per stat, one column per player
+     */
+    getSideBySide(rows) {
+        const names = rows.map(row => row.webName);
+        const label = row => (names.filter(name => name === row.webName).length > 1 ? `${row.webName} (${row.id})` : row.webName);
+
+        const stats = [
+            'team', 'position', 'cost', 'selectedBy', 'totalPoints', 'form', 'minutes',
+            'goals', 'assists', 'cleanSheets', 'bonus', 'xGI',
+            'pointsPer90', 'goalsPer90', 'assistsPer90', 'xGIPer90', 'bonusPer90',
+            'recentPoints', 'fixtures', 'avgVulnerability', 'projectedPoints'
+        ];
+
+        return stats.map(stat => {
+            const line = { stat: stat === 'recentPoints' ? `pointsLast${this.recentGameweeks}` : stat };
+            rows.forEach(row => { line[label(row)] = row[stat]; });
+            return line;
+        });
+    }
+
+    /**
+     * Display the side-by-side table and the verdict
+     */
+    displayComparison(horizon = 3) {
+        const rows = this.compare(horizon);
+
+        console.log('='.repeat(80));
+        console.log(`PLAYER COMPARISON (projected over the next ${horizon} gameweeks)`);
+        console.log('='.repeat(80));
+        console.table(this.getSideBySide(rows));
+        console.log(`\n${this.getVerdict(rows, horizon)}`);
+
+        return rows;
+    }
+}
+
+/**
+ * Example usage: node player_comparison.js <horizon> <id|name> <id|name> [...]
+ */
+async function runPlayerComparison(queries, horizon = 3) {
+    try {
+        const analyzer = new FPLAnalyzer();
+        await analyzer.initialize();
+
+        const defenseAnalyzer = new TeamDefenseAnalyzer();
+        await defenseAnalyzer.initialize();
+        const fixtureAnalyzer = new PlayerFixtureAnalyzer(await defenseAnalyzer.analyzeTeamDefense());
+        await fixtureAnalyzer.initialize();
+
+        const projectionModel = new ExpectedPointsModel(fixtureAnalyzer);
+        const comparison = await new PlayerComparison(analyzer, fixtureAnalyzer, { projectionModel }).load(queries);
+        await projectionModel.loadHistories(comparison.players.map(p => p.id));
+
+        return comparison.displayComparison(horizon);
+
+    } catch (error) {
+        console.error('Player comparison failed:', error.message);
+        throw error;
+    }
+}
+
+module.exports = {
+    PlayerComparison,
+    runPlayerComparison
+};
+
+// Run comparison if this file is executed directly
+if (require.main === module) {
+    const [horizon, ...queries] = process.argv.slice(2);
+    runPlayerComparison(queries, parseInt(horizon, 10) || 3);
+}
@@ -0,0 +1,28 @@
+/**
+ * Player Filters
+ * Position aliases and the player pool filter shared by the command line and the HTTP API
+ */
+
+const POSITION_ALIASES = {
+    1: 1, gk: 1, gkp: 1, goalkeeper: 1,
+    2: 2, def: 2, defender: 2,
+    3: 3, mid: 3, midfielder: 3,
+    4: 4, fwd: 4, forward: 4
+};
+
+/**
+ * Player pool filter for the position, price band and ownership cap options
+ */
+function matchesFilters(player, options) {
+    const cost = player.now_cost / 10;
+    if (options.position && player.element_type !== options.position) return false;
+    if (options.minPrice !== null && cost < options.minPrice) return false;
+    if (options.maxPrice !== null && cost > options.maxPrice) return false;
+    if (options.maxOwnership !== null && parseFloat(player.selected_by_percent) > options.maxOwnership) return false;
+    return true;
+}
+
+module.exports = {
+    POSITION_ALIASES,
+    matchesFilters
+};
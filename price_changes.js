@@ -0,0 +1,296 @@
+/**
+ * FPL Price Change Predictor
+ * Estimates net transfer pressure relative to ownership to predict price rises and falls,
+ * and calibrates the thresholds against price changes seen between saved snapshots
+ */
+
+const path = require('path');
+const { getBootstrapData, getReplaySnapshot } = require('./requests');
+const { SnapshotStore } = require('./snapshots');
+
+// Net transfers this gameweek as a share of current owners needed for a change (fallers move sooner)
+const DEFAULT_RISE_THRESHOLD = 0.08;
+const DEFAULT_FALL_THRESHOLD = -0.06;
+
+const DEFAULT_TOTAL_PLAYERS = 10000000; // Used when bootstrap data has no total_players
+const MIN_OWNERS = 1000; // Floor so barely-owned players don't get extreme pressure
+const MIN_CALIBRATION_CHANGES = 5; // Observed changes needed before a threshold is recalibrated
+
+const PRICE_HISTORY_DIR = process.env.FPL_PRICE_HISTORY_DIR || path.join(__dirname, 'price_history');
+
+class PricePredictor {
+    /**
+     * bootstrapData: bootstrap-static data to predict from
+     * Options: riseThreshold, fallThreshold, snapshotStores (stores whose bootstrap data is used to calibrate)
+     */
+    constructor(bootstrapData, options = {}) {
+        this.bootstrapData = bootstrapData;
+        this.riseThreshold = options.riseThreshold ?? DEFAULT_RISE_THRESHOLD;
+        this.fallThreshold = options.fallThreshold ?? DEFAULT_FALL_THRESHOLD;
+        this.snapshotStores = options.snapshotStores ||
+            [new SnapshotStore(), new SnapshotStore(PRICE_HISTORY_DIR)];
+    }
+
+    /**
+     * Net transfers this gameweek relative to owners, less what any change this gameweek already used up
+     */
+    getTransferPressure(player, bootstrapData = this.bootstrapData) {
+        const totalPlayers = bootstrapData.total_players || DEFAULT_TOTAL_PLAYERS;
+        const owners = Math.max(MIN_OWNERS, (parseFloat(player.selected_by_percent) || 0) / 100 * totalPlayers);
+        const netTransfers = (player.transfers_in_event || 0) - (player.transfers_out_event || 0);
+
+        // Each 0.1m change this gameweek consumed one threshold's worth of pressure
+        const change = player.cost_change_event || 0;
+        const consumed = change * (change > 0 ? this.riseThreshold : -this.fallThreshold);
+
+        return {
+            netTransfers,
+            owners: Math.round(owners),
+            pressure: netTransfers / owners - consumed
+        };
+    }
+
+    /**
+     * Prediction for one player: 'rise', 'fall' or 'hold', with progress toward the threshold
+     */
+    predictPlayer(player) {
+        const { netTransfers, owners, pressure } = this.getTransferPressure(player);
+        const threshold = pressure >= 0 ? this.riseThreshold : this.fallThreshold;
+        const progress = pressure / threshold;
+
+        let prediction = 'hold';
+        if (pressure >= this.riseThreshold) prediction = 'rise';
+        else if (pressure <= this.fallThreshold) prediction = 'fall';
+
+        return {
+            id: player.id,
+            webName: player.web_name,
+            team: this.getTeamName(player.team),
+            cost: player.now_cost / 10,
+            ownership: parseFloat(player.selected_by_percent) || 0,
+            netTransfers,
+            owners,
+            pressure: parseFloat((pressure * 100).toFixed(2)), // % of owners
+            progress: parseFloat((progress * 100).toFixed(0)), // % of the way to a change
+            changedThisGameweek: (player.cost_change_event || 0) / 10,
+            prediction
+        };
+    }
+
+    /**
+     * Most likely risers and fallers, closest to changing first
+     */
+    predict(limit = 15) {
+        const predictions = this.bootstrapData.elements.map(player => this.predictPlayer(player));
+
+        return {
+            riseThreshold: parseFloat((this.riseThreshold * 100).toFixed(2)),
+            fallThreshold: parseFloat((this.fallThreshold * 100).toFixed(2)),
+            risers: predictions
+                .filter(p => p.netTransfers > 0)
+                .sort((a, b) => b.progress - a.progress)
+                .slice(0, limit),
+            fallers: predictions
+                .filter(p => p.netTransfers < 0)
+                .sort((a, b) => b.progress - a.progress)
+                .slice(0, limit)
+        };
+    }
+
+    /**
+     * Bootstrap data from every saved snapshot, oldest first
+     */
+    loadSnapshotHistory() {
+        const history = [];
+
+        this.snapshotStores.forEach(store => {
+            store.listSnapshots().forEach(name => {
+                if (store.has(name, 'bootstrap-static/')) {
+                    history.push({ name, data: store.read(name, 'bootstrap-static/') });
+                }
+            });
+        });
+
+        // Snapshot names start with the date, so they sort chronologically
+        const unique = new Map(history.map(entry => [entry.name, entry]));
+        return [...unique.values()].sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Actual price changes between successive snapshots
+     */
+    getActualChanges(history = this.loadSnapshotHistory()) {
+        const changes = [];
+
+        for (let i = 1; i < history.length; i++) {
+            const before = history[i - 1];
+            const after = history[i];
+            const afterById = new Map(after.data.elements.map(p => [p.id, p]));
+
+            before.data.elements.forEach(player => {
+                const later = afterById.get(player.id);
+                if (!later || later.now_cost === player.now_cost) return;
+
+                changes.push({
+                    id: player.id,
+                    webName: player.web_name,
+                    from: player.now_cost / 10,
+                    to: later.now_cost / 10,
+                    change: (later.now_cost - player.now_cost) / 10,
+                    between: [before.name, after.name]
+                });
+            });
+        }
+
+        return changes;
+    }
+
+    /**
+     * Fit rise and fall thresholds to the changes seen between snapshots
+     * Each snapshot's pressure is paired with whether the price moved by the next one,
+     * and the threshold with the best F1 score is kept when there are enough changes
+     */
+    calibrate() {
+        const history = this.loadSnapshotHistory();
+        const observations = [];
+
+        for (let i = 1; i < history.length; i++) {
+            const before = history[i - 1].data;
+            const afterById = new Map(history[i].data.elements.map(p => [p.id, p]));
+
+            before.elements.forEach(player => {
+                const later = afterById.get(player.id);
+                if (!later) return;
+                observations.push({
+                    pressure: this.getTransferPressure(player, before).pressure,
+                    change: later.now_cost - player.now_cost
+                });
+            });
+        }
+
+        const rise = this.fitThreshold(observations.filter(o => o.pressure > 0), o => o.change > 0, 1);
+        const fall = this.fitThreshold(observations.filter(o => o.pressure < 0), o => o.change < 0, -1);
+
+        if (rise.threshold !== null) this.riseThreshold = rise.threshold;
+        if (fall.threshold !== null) this.fallThreshold = fall.threshold;
+
+        return {
+            snapshots: history.length,
+            observations: observations.length,
+            rise: { ...rise, threshold: this.riseThreshold },
+            fall: { ...fall, threshold: this.fallThreshold }
+        };
+    }
+
+    /**
+     * Best threshold for one direction; direction is 1 for rises and -1 for falls
+     */
+    fitThreshold(observations, changed, direction) {
+        const changes = observations.filter(changed).length;
+        if (changes < MIN_CALIBRATION_CHANGES) {
+            return { threshold: null, changes, precision: null, recall: null };
+        }
+
+        // Sweep from the strongest pressure down; everything seen so far counts as predicted
+        const sorted = [...observations].sort((a, b) => (b.pressure - a.pressure) * direction);
+        let best = { threshold: null, f1: -1, precision: 0, recall: 0 };
+        let hits = 0;
+
+        sorted.forEach((observation, index) => {
+            if (changed(observation)) hits++;
+            const precision = hits / (index + 1);
+            const recall = hits / changes;
+            const f1 = hits > 0 ? 2 * precision * recall / (precision + recall) : 0;
+
+            if (f1 > best.f1) best = { threshold: observation.pressure, f1, precision, recall };
+        });
+
+        return {
+            threshold: best.threshold,
+            changes,
+            precision: parseFloat(best.precision.toFixed(2)),
+            recall: parseFloat(best.recall.toFixed(2))
+        };
+    }
+
+    /**
+     * Save today's bootstrap data so the next run has a price history to calibrate against
+     */
+    recordPrices(gameweek) {
+        const store = new SnapshotStore(PRICE_HISTORY_DIR);
+        const name = store.getSnapshotName(gameweek);
+        store.write(name, 'bootstrap-static/', this.bootstrapData);
+        return name;
+    }
+
+    getTeamName(teamId) {
+        const team = this.bootstrapData.teams.find(t => t.id === teamId);
+        return team ? team.name : 'Unknown';
+    }
+
+    /**
+     * Display predicted risers and fallers
+     */
+    displayPredictions(result) {
+        console.log('='.repeat(80));
+        console.log(`PRICE CHANGE PREDICTIONS (rise at ${result.riseThreshold}%, fall at ${result.fallThreshold}% of owners)`);
+        console.log('='.repeat(80));
+
+        const columns = p => ({
+            webName: p.webName,
+            team: p.team,
+            cost: p.cost,
+            ownership: p.ownership,
+            netTransfers: p.netTransfers,
+            progress: `${p.progress}%`,
+            prediction: p.prediction
+        });
+
+        console.log('\nLIKELY RISERS:');
+        console.table(result.risers.map(columns));
+        console.log('\nLIKELY FALLERS:');
+        console.table(result.fallers.map(columns));
+    }
+}
+
+/**
+ * Example usage: predict tonight's price changes, calibrating against saved snapshots
+ */
+async function runPriceChanges(limit = 15) {
+    try {
+        const bootstrapData = await getBootstrapData();
+        const predictor = new PricePredictor(bootstrapData);
+
+        const calibration = predictor.calibrate();
+        if (calibration.snapshots > 1) {
+            console.log(`Calibrated on ${calibration.snapshots} snapshots: rise ${calibration.rise.changes} changes, fall ${calibration.fall.changes} changes`);
+        } else {
+            console.log('Not enough snapshots to calibrate yet, using default thresholds');
+        }
+
+        const result = predictor.predict(limit);
+        predictor.displayPredictions(result);
+
+        // Replayed data isn't today's, so only live runs extend the price history
+        if (!getReplaySnapshot()) {
+            const currentEvent = bootstrapData.events.find(e => e.is_current) || { id: 0 };
+            console.log(`Recorded prices as "${predictor.recordPrices(currentEvent.id)}"`);
+        }
+
+        return { calibration, ...result };
+
+    } catch (error) {
+        console.error('Price change prediction failed:', error.message);
+        throw error;
+    }
+}
+
+module.exports = {
+    PricePredictor,
+    runPriceChanges
+};
+
+// Run predictions if this file is executed directly
+if (require.main === module) {
+    runPriceChanges(parseInt(process.argv[2], 10) || 15);
+}
@@ -0,0 +1,247 @@
+/**
+ * FPL Weekly Report
+ * Renders the weekly analysis into one self-contained HTML file with sortable tables
+ * and a fixture difficulty heatmap
+ *
+ * Usage: node report.js [outputPath]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { FPLDataStore } = require('./data_store');
+const { FixtureTicker } = require('./fixture_ticker');
+const { getColumns } = require('./formatters');
+
+const DEFAULT_REPORT_DIR = path.join(__dirname, 'reports');
+const HEATMAP_GAMEWEEKS = 6;
+
+// Heatmap colours by difficulty (1 = easiest)
+const DIFFICULTY_COLOURS = {
+    1: '#1a7f37',
+    2: '#66bb6a',
+    3: '#e0e0e0',
+    4: '#ef6c57',
+    5: '#b71c1c'
+};
+
+const STYLES = `
+body { font-family: -apple-system, Segoe UI, Roboto, sans-serif; margin: 2rem; color: #222; }
+h1 { margin-bottom: 0.2rem; }
+h2 { margin-top: 2.5rem; border-bottom: 2px solid #37003c; padding-bottom: 0.3rem; }
+h3 { margin-top: 1.5rem; }
+.meta { color: #666; }
+table { border-collapse: collapse; margin: 0.5rem 0 1rem; font-size: 0.9rem; }
+th, td { padding: 0.3rem 0.6rem; border: 1px solid #ddd; text-align: left; }
+th { background: #37003c; color: #fff; }
+table.sortable th { cursor: pointer; user-select: none; }
+table.sortable th[data-dir="asc"]::after { content: " \\25B2"; }
+table.sortable th[data-dir="desc"]::after { content: " \\25BC"; }
+td.num { text-align: right; }
+tr:nth-child(even) td { background: #f7f7f7; }
+table.heatmap td { text-align: center; color: #fff; min-width: 5rem; }
+table.heatmap td.team { text-align: left; color: #222; background: #fff; font-weight: bold; }
+table.heatmap td.blank { background: #555; }
+`;
+
+// Sorts a table by the clicked column; numeric when every cell in it is a number
+const SORT_SCRIPT = `
+document.querySelectorAll('table.sortable').forEach(function (table) {
+    table.querySelectorAll('th').forEach(function (th, index) {
+        th.addEventListener('click', function () {
+            var dir = th.getAttribute('data-dir') === 'desc' ? 'asc' : 'desc';
+            table.querySelectorAll('th').forEach(function (other) { other.removeAttribute('data-dir'); });
+            th.setAttribute('data-dir', dir);
+
+            var body = table.tBodies[0];
+            var rows = Array.prototype.slice.call(body.rows);
+            var values = rows.map(function (row) { return row.cells[index].textContent; });
+            var numeric = values.every(function (v) { return v === '' || !isNaN(parseFloat(v)); });
+
+            rows.sort(function (a, b) {
+                var x = a.cells[index].textContent;
+                var y = b.cells[index].textContent;
+                var result = numeric ? (parseFloat(x) || 0) - (parseFloat(y) || 0) : x.localeCompare(y);
+                return dir === 'asc' ? result : -result;
+            });
+            rows.forEach(function (row) { body.appendChild(row); });
+        });
+    });
+});
+`;
+
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Sortable table from an array of flat row objects
+ */
+function renderTable(rows) {
+    if (rows.length === 0) return '<p class="meta">No players match.</p>';
+
+    const columns = getColumns(rows);
+    const isNumeric = value => typeof value === 'number' || (typeof value === 'string' && value !== '' && !isNaN(value));
+
+    const header = columns.map(column => `<th>${escapeHtml(column)}</th>`).join('');
+    const body = rows.map(row => {
+        const cells = columns.map(column => {
+            const value = Array.isArray(row[column]) ? row[column].join(', ') : row[column];
+            return `<td${isNumeric(value) ? ' class="num"' : ''}>${escapeHtml(value)}</td>`;
+        }).join('');
+        return `<tr>${cells}</tr>`;
+    }).join('\n');
+
+    return `<table class="sortable"><thead><tr>${header}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+}
+
+/**
+ * Team x gameweek heatmap coloured by fixture difficulty
+ */
+function renderHeatmap(ticker) {
+    const header = ['<th>Team</th>', ...ticker.gameweeks.map(gw => `<th>GW${gw}</th>`)].join('');
+
+    const body = ticker.teams.map(row => {
+        const cells = ticker.gameweeks.map(gameweek => {
+            const fixtures = row.gameweeks[gameweek];
+            if (fixtures.length === 0) return '<td class="blank">-</td>';
+
+            // Doubles take the colour of the easier fixture
+            const easiest = Math.round(Math.min(...fixtures.map(f => f.difficulty)));
+            const colour = DIFFICULTY_COLOURS[Math.min(5, Math.max(1, easiest))];
+            const textColour = easiest === 3 ? '#222' : '#fff';
+            const label = fixtures.map(f => `${escapeHtml(f.opponentShortName)} (${f.isHome ? 'H' : 'A'})`).join('<br>');
+            return `<td style="background:${colour};color:${textColour}" title="Difficulty ${fixtures.map(f => f.difficulty).join(' + ')}">${label}</td>`;
+        }).join('');
+        return `<tr><td class="team">${escapeHtml(row.team)}</td>${cells}</tr>`;
+    }).join('\n');
+
+    return `<table class="heatmap"><thead><tr>${header}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+}
+
+class ReportGenerator {
+    /**
+     * store: a refreshed FPLDataStore
+     * Options: horizons (default [1, 3, 5]), limit (rows per table, default 15)
+     */
+    constructor(store, options = {}) {
+        this.store = store;
+        this.horizons = options.horizons || [1, 3, 5];
+        this.limit = options.limit || 15;
+    }
+
+    /**
+     * Full report as an HTML string
+     */
+    generate() {
+        const analyzer = this.store.getAnalyzer();
+        const fixtureAnalyzer = this.store.getFixtureAnalyzer();
+        const gameweek = fixtureAnalyzer.getCurrentGameweek();
+
+        const sections = [
+            this.section('Top Scorers', renderTable(analyzer.getTopScorers(this.limit))),
+            this.section('Value Picks (points per million)', renderTable(analyzer.getBestValuePlayers(this.limit))),
+            this.section('Differentials (under 5% owned)',
+                renderTable(analyzer.getDifferentialPicks(5.0, 40).slice(0, this.limit))),
+            this.section('Team Defense by Position', this.renderDefense()),
+            this.section('Fixture-Run Recommendations', this.renderRecommendations()),
+            this.section(`Fixture Heatmap (next ${HEATMAP_GAMEWEEKS} gameweeks, official FDR)`,
+                renderHeatmap(new FixtureTicker(fixtureAnalyzer).getTicker(HEATMAP_GAMEWEEKS)))
+        ];
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>FPL Weekly Report - Gameweek ${gameweek}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<h1>FPL Weekly Report - Gameweek ${gameweek}</h1>
+<p class="meta">Generated ${escapeHtml(new Date().toISOString())}. Click a column heading to sort.</p>
+${sections.join('\n')}
+<script>${SORT_SCRIPT}</script>
+</body>
+</html>
+`;
+    }
+
+    section(title, content) {
+        return `<h2>${escapeHtml(title)}</h2>\n${content}`;
+    }
+
+    renderDefense() {
+        const results = this.store.getDefenseResults();
+
+        return ['forwards', 'midfielders', 'defenders', 'goalkeepers'].map(position => {
+            const rows = results[position].map((team, index) => ({
+                rank: index + 1,
+                team: team.name,
+                totalPointsAllowed: team.totalPointsAllowed,
+                gamesPlayed: team.gamesPlayed,
+                avgPerGame: team.avgPointsAllowedPerGame,
+                per90: team.pointsAllowedPer90,
+                homeAvg: team.home.avgPointsAllowedPerGame,
+                awayAvg: team.away.avgPointsAllowedPerGame
+            }));
+            return `<h3>Points allowed to ${position}</h3>\n${renderTable(rows)}`;
+        }).join('\n');
+    }
+
+    renderRecommendations() {
+        return this.horizons.map(horizon => {
+            const byPosition = this.store.getRecommendations(horizon);
+            const rows = Object.entries(byPosition).flatMap(([position, players]) =>
+                players.slice(0, 5).map(player => ({
+                    position,
+                    player: player.webName,
+                    team: player.team,
+                    cost: player.cost,
+                    form: player.form,
+                    fixtures: player.fixtures.map(f => `${f.opponent} (${f.isHome ? 'H' : 'A'})`).join(', '),
+                    avgVulnerability: player.avgVulnerabilityScore,
+                    selectedBy: player.selectedBy
+                })));
+
+            const label = horizon === 1 ? 'Next gameweek' : `Next ${horizon} gameweeks`;
+            return `<h3>${label}</h3>\n${renderTable(rows)}`;
+        }).join('\n');
+    }
+}
+
+/**
+ * Load the data, render the report and write it to disk
+ */
+async function runReport(outputPath = null) {
+    try {
+        const store = new FPLDataStore({ refreshMinutes: 0 });
+        await store.refresh();
+
+        const html = new ReportGenerator(store).generate();
+        const gameweek = store.getFixtureAnalyzer().getCurrentGameweek();
+        const filePath = path.resolve(outputPath || path.join(DEFAULT_REPORT_DIR, `fpl-report-gw${gameweek}.html`));
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, html);
+        console.log(`Report written to ${filePath}`);
+
+        return filePath;
+
+    } catch (error) {
+        console.error('Report generation failed:', error.message);
+        throw error;
+    }
+}
+
+module.exports = {
+    ReportGenerator,
+    runReport
+};
+
+// Generate report if this file is executed directly
+if (require.main === module) {
+    runReport(process.argv[2]);
+}
@@ -1,16 +1,46 @@
 // Using fetch API (Node.js 18+ or with node-fetch package for older versions)
+const { FPL_API_BASE, getClient, configureClient } = require('./api_client');
+
+// Serve all subsequent requests from a saved snapshot ('latest' picks the newest one)
+function useSnapshot(snapshotName) {
+    getClient().useSnapshot(snapshotName);
+}
+
+// Switch back to the live FPL API
+function useLiveApi() {
+    getClient().useLiveApi();
+}
+
+function getReplaySnapshot() {
+    return getClient().replaySnapshot;
+}
+
+// Fetch a JSON endpoint through the shared client (cached, rate limited and retried)
+async function fetchEndpoint(endpoint, options) {
+    return getClient().get(endpoint, options);
+}
+
+// Requests that failed even after retries, plus client statistics
+function getFailureReport() {
+    return getClient().getFailureReport();
+}
+
+// Fetch the full bootstrap-static payload (players, teams, gameweeks)
+async function getBootstrapData() {
+    try {
+        return await fetchEndpoint('bootstrap-static/');
+    } catch (error) {
+        console.error('Error fetching bootstrap data:', error.message);
+        throw error;
+    }
+}
+
 async function getAllPlayerIds() {
     try {
         console.log('Fetching player data from FPL API...');
         
         // Make request to bootstrap-static endpoint
-        const response = await fetch('https://fantasy.premierleague.com/api/bootstrap-static/');
-        
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        
-        const data = await response.json();
+        const data = await fetchEndpoint('bootstrap-static/');
         // print a small sample of the data structure in a formatted way
         // console.log(JSON.stringify(data.elements.slice(0, 1), null, 2));
         
@@ -34,13 +64,7 @@ async function getPlayerData(playerId) {
         console.log(`Fetching detailed data for player ID: ${playerId}...`);
         
         // Make request to player-specific endpoint
-        const response = await fetch(`https://fantasy.premierleague.com/api/element-summary/${playerId}/`);
-        
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        
-        const data = await response.json();
+        const data = await fetchEndpoint(`element-summary/${playerId}/`);
         
         console.log(`Successfully retrieved data for player ${playerId}`);
         // log data in a formatted way
@@ -87,18 +111,13 @@ async function getPlayerData(playerId) {
 }
 
 // Fetch all Premier League fixtures for the season
-async function getAllFixtures() {
+// options are passed to the client, e.g. { fresh: true } while a gameweek is in progress
+async function getAllFixtures(options = {}) {
     try {
         console.log('Fetching all Premier League fixtures...');
         
         // Make request to fixtures endpoint
-        const response = await fetch('https://fantasy.premierleague.com/api/fixtures/');
-        
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        
-        const fixtures = await response.json();
+        const fixtures = await fetchEndpoint('fixtures/', options);
         
         console.log(`Successfully retrieved ${fixtures.length} fixtures`);
         
@@ -110,6 +129,68 @@ async function getAllFixtures() {
     }
 }
 
+// Fetch a manager's entry summary (name, overall points, rank, current gameweek)
+async function getEntry(entryId) {
+    try {
+        return await fetchEndpoint(`entry/${entryId}/`);
+    } catch (error) {
+        console.error(`Error fetching entry ${entryId}:`, error.message);
+        throw error;
+    }
+}
+
+// Fetch a manager's gameweek-by-gameweek history, past seasons and chips played
+async function getEntryHistory(entryId) {
+    try {
+        return await fetchEndpoint(`entry/${entryId}/history/`);
+    } catch (error) {
+        console.error(`Error fetching history for entry ${entryId}:`, error.message);
+        throw error;
+    }
+}
+
+// Fetch every transfer a manager has made this season, with the price paid for each player in
+async function getEntryTransfers(entryId) {
+    try {
+        return await fetchEndpoint(`entry/${entryId}/transfers/`);
+    } catch (error) {
+        console.error(`Error fetching transfers for entry ${entryId}:`, error.message);
+        throw error;
+    }
+}
+
+// Fetch a manager's 15 picks, captaincy and bank for a gameweek
+async function getEntryPicks(entryId, gameweek) {
+    try {
+        return await fetchEndpoint(`entry/${entryId}/event/${gameweek}/picks/`);
+    } catch (error) {
+        console.error(`Error fetching gameweek ${gameweek} picks for entry ${entryId}:`, error.message);
+        throw error;
+    }
+}
+
+// Fetch live points, minutes and BPS for every player in a gameweek
+async function getLiveGameweekData(gameweek, options = {}) {
+    try {
+        return await fetchEndpoint(`event/${gameweek}/live/`, options);
+    } catch (error) {
+        console.error(`Error fetching live data for gameweek ${gameweek}:`, error.message);
+        throw error;
+    }
+}
+
+// Fetch one page (50 entries) of a classic league's standings
+// Page 1 uses the bare endpoint so it records to a plain path in snapshots
+async function getLeagueStandings(leagueId, page = 1) {
+    try {
+        const query = page > 1 ? `?page_standings=${page}` : '';
+        return await fetchEndpoint(`leagues-classic/${leagueId}/standings/${query}`);
+    } catch (error) {
+        console.error(`Error fetching standings page ${page} for league ${leagueId}:`, error.message);
+        throw error;
+    }
+}
+
 // Example usage and testing
 async function main() {
     try {
@@ -140,9 +221,24 @@ async function main() {
 
 // Export functions for use in other modules
 module.exports = {
+    FPL_API_BASE,
+    fetchEndpoint,
+    getBootstrapData,
+    useSnapshot,
+    useLiveApi,
+    getReplaySnapshot,
+    getClient,
+    configureClient,
+    getFailureReport,
     getAllPlayerIds,
     getPlayerData,
     getAllFixtures,
+    getEntry,
+    getEntryHistory,
+    getEntryTransfers,
+    getEntryPicks,
+    getLeagueStandings,
+    getLiveGameweekData,
     main
 };
 
@@ -0,0 +1,242 @@
+/**
+ * FPL Season Profiles
+ * Builds per-player profiles across past Premier League seasons from history_past,
+ * compares this season with each player's norm, and gives players with little or no
+ * history here a prior to lean on while this season's sample is small
+ */
+
+const { getBootstrapData, getPlayerData } = require('./requests');
+
+const MIN_SEASON_MINUTES = 450; // Seasons with fewer minutes say little about a player's rate
+const SEASON_DECAY = 0.7; // Each season further back counts this much less
+const PRIOR_MINUTES = 900; // The prior counts as this many minutes of evidence when blending
+const MIN_CURRENT_MINUTES = 270; // Minutes this season before over/underperformance is flagged
+const OUTLIER_RATIO = 1.3; // Flag when this season's rate is 30% above (or below 1/1.3 of) the norm
+
+const per90 = (points, minutes) => (minutes > 0 ? points / (minutes / 90) : 0);
+const round2 = value => parseFloat(value.toFixed(2));
+
+class SeasonProfiler {
+    /**
+     * bootstrapData: bootstrap-static data for the current season
+     */
+    constructor(bootstrapData) {
+        this.bootstrapData = bootstrapData;
+        this.pastSeasons = {}; // history_past by player id
+        this.previousSeasonName = null;
+        this.positionPriors = null;
+    }
+
+    /**
+     * Load history_past for players (all of them by default)
+     */
+    async loadHistories(playerIds = this.bootstrapData.elements.map(p => p.id)) {
+        await Promise.all(playerIds.map(async playerId => {
+            try {
+                const data = await getPlayerData(playerId);
+                this.pastSeasons[playerId] = data.history_past || [];
+            } catch (error) {
+                console.error(`Error loading past seasons for player ${playerId}:`, error.message);
+            }
+        }));
+        this.previousSeasonName = this.findPreviousSeasonName();
+        this.positionPriors = null;
+    }
+
+    /**
+     * The most recent completed season anyone has a record for, e.g. '2024/25'
+     */
+    findPreviousSeasonName() {
+        let latest = null;
+        Object.values(this.pastSeasons).forEach(seasons => seasons.forEach(season => {
+            if (latest === null || season.season_name > latest) latest = season.season_name;
+        }));
+        return latest;
+    }
+
+    /**
+     * One row per past season, oldest first
+     */
+    getSeasons(playerId) {
+        return (this.pastSeasons[playerId] || [])
+            .map(season => ({
+                season: season.season_name,
+                points: season.total_points,
+                minutes: season.minutes,
+                pointsPer90: round2(per90(season.total_points, season.minutes)),
+                startPrice: season.start_cost / 10,
+                endPrice: season.end_cost / 10,
+                goals: season.goals_scored,
+                assists: season.assists,
+                bonus: season.bonus
+            }))
+            .sort((a, b) => a.season.localeCompare(b.season));
+    }
+
+    /**
+     * Points per 90 across past seasons, ignoring short seasons; each season's weight decays with
+     * the years between it and the latest completed season, so gap years still count as years back
+     * Returns null when no season has enough minutes
+     */
+    getHistoricalRate(playerId) {
+        const seasons = this.getSeasons(playerId).filter(season => season.minutes >= MIN_SEASON_MINUTES);
+        if (seasons.length === 0) return null;
+
+        const startYear = name => parseInt(name, 10); // '2023/24' -> 2023
+        const latestYear = startYear(this.previousSeasonName);
+
+        let points = 0;
+        let minutes = 0;
+        seasons.forEach(season => {
+            const weight = Math.pow(SEASON_DECAY, latestYear - startYear(season.season));
+            points += season.points * weight;
+            minutes += season.minutes * weight;
+        });
+
+        return { pointsPer90: per90(points, minutes), seasons: seasons.length };
+    }
+
+    /**
+     * Average historical points per 90 by position, the prior for players with no usable history
+     */
+    getPositionPriors() {
+        if (this.positionPriors) return this.positionPriors;
+
+        const totals = {};
+        this.bootstrapData.elements.forEach(player => {
+            const rate = this.getHistoricalRate(player.id);
+            if (!rate) return;
+            const total = totals[player.element_type] || (totals[player.element_type] = { sum: 0, count: 0 });
+            total.sum += rate.pointsPer90;
+            total.count++;
+        });
+
+        this.positionPriors = {};
+        Object.entries(totals).forEach(([position, total]) => {
+            this.positionPriors[position] = total.sum / total.count;
+        });
+        return this.positionPriors;
+    }
+
+    /**
+     * Profile for one player: past seasons, historical norm, this season against it,
+     * and a rate blending this season with the prior
+     */
+    getProfile(player) {
+        const seasons = this.getSeasons(player.id);
+        const historical = this.getHistoricalRate(player.id);
+        const previousSeason = this.previousSeasonName;
+
+        const priorPer90 = historical
+            ? historical.pointsPer90
+            : (this.getPositionPriors()[player.element_type] || 0);
+        const currentPer90 = per90(player.total_points, player.minutes);
+
+        // Shrink this season's rate toward the prior; small samples stay close to it
+        const blendedPer90 = (player.total_points + priorPer90 * PRIOR_MINUTES / 90) /
+            ((player.minutes + PRIOR_MINUTES) / 90);
+
+        let trend = 'in line';
+        if (!historical || player.minutes < MIN_CURRENT_MINUTES) trend = 'too early';
+        else if (currentPer90 >= historical.pointsPer90 * OUTLIER_RATIO) trend = 'above norm';
+        else if (currentPer90 <= historical.pointsPer90 / OUTLIER_RATIO) trend = 'below norm';
+
+        return {
+            id: player.id,
+            webName: player.web_name,
+            position: player.element_type,
+            seasons,
+            // No record last season: promoted with their club, or arrived from another league
+            newArrival: previousSeason !== null && !seasons.some(season => season.season === previousSeason),
+            historicalPer90: historical ? round2(historical.pointsPer90) : null,
+            priorSource: historical ? 'history' : 'position',
+            currentPoints: player.total_points,
+            currentMinutes: player.minutes,
+            currentPer90: round2(currentPer90),
+            blendedPer90: round2(blendedPer90),
+            trend
+        };
+    }
+
+    /**
+     * Players whose current rate is furthest above or below their historical norm
+     */
+    getOutliers(limit = 10, players = this.bootstrapData.elements) {
+        const profiles = players
+            .map(player => this.getProfile(player))
+            .filter(profile => profile.trend === 'above norm' || profile.trend === 'below norm')
+            .map(profile => ({ ...profile, change: round2(profile.currentPer90 - profile.historicalPer90) }));
+
+        return {
+            above: profiles.filter(p => p.trend === 'above norm').sort((a, b) => b.change - a.change).slice(0, limit),
+            below: profiles.filter(p => p.trend === 'below norm').sort((a, b) => a.change - b.change).slice(0, limit)
+        };
+    }
+
+    /**
+     * Players without a record last season, best prior-blended rate first
+     */
+    getNewArrivals(limit = 10, players = this.bootstrapData.elements) {
+        return players
+            .map(player => this.getProfile(player))
+            .filter(profile => profile.newArrival)
+            .sort((a, b) => b.blendedPer90 - a.blendedPer90)
+            .slice(0, limit);
+    }
+
+    /**
+     * Display outliers and new arrivals
+     */
+    displayReport(outliers, newArrivals) {
+        const toRow = p => ({
+            webName: p.webName,
+            seasons: p.seasons.length,
+            historicalPer90: p.historicalPer90,
+            currentPer90: p.currentPer90,
+            currentMinutes: p.currentMinutes,
+            blendedPer90: p.blendedPer90
+        });
+
+        console.log('='.repeat(80));
+        console.log('SEASON COMPARISON (points per 90 against past seasons)');
+        console.log('='.repeat(80));
+
+        console.log('\nWELL ABOVE THEIR NORM:');
+        console.table(outliers.above.map(toRow));
+        console.log('\nWELL BELOW THEIR NORM:');
+        console.table(outliers.below.map(toRow));
+
+        console.log('\nNEW ARRIVALS (no record last season; blended with prior):');
+        console.table(newArrivals.map(p => ({ ...toRow(p), priorSource: p.priorSource })));
+    }
+}
+
+/**
+ * Example usage: season outliers and new arrivals
+ */
+async function runSeasonProfiles(limit = 10) {
+    try {
+        const profiler = new SeasonProfiler(await getBootstrapData());
+        await profiler.loadHistories();
+
+        const outliers = profiler.getOutliers(limit);
+        const newArrivals = profiler.getNewArrivals(limit);
+        profiler.displayReport(outliers, newArrivals);
+
+        return { outliers, newArrivals };
+
+    } catch (error) {
+        console.error('Season profiles failed:', error.message);
+        throw error;
+    }
+}
+
+module.exports = {
+    SeasonProfiler,
+    runSeasonProfiles
+};
+
+// Run report if this file is executed directly
+if (require.main === module) {
+    runSeasonProfiles(parseInt(process.argv[2], 10) || 10);
+}
@@ -0,0 +1,278 @@
+/**
+ * FPL HTTP API
+ * Serves the analyzers as JSON from a shared, periodically refreshed data store
+ *
+ * Usage: node server.js [port]
+ */
+
+const http = require('http');
+const { FPLDataStore } = require('./data_store');
+const { matchesFilters, POSITION_ALIASES } = require('./player_filters');
+const { getAvailability, AVAILABILITY_MODES } = require('./availability');
+
+const DEFAULT_PORT = 3000;
+const DEFAULT_HOST = '127.0.0.1';
+const POSITION_KEYS = { 1: 'goalkeepers', 2: 'defenders', 3: 'midfielders', 4: 'forwards' };
+const POSITION_NAMES = { 1: 'Goalkeeper', 2: 'Defender', 3: 'Midfielder', 4: 'Forward' };
+
+/**
+ * Error with an HTTP status, turned into a JSON error response
+ */
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * Read the shared query parameters (limit, position, price band, ownership cap, horizon)
+ * defaults.maxHorizon bounds horizon to the gameweeks left in the season
+ */
+function parseQuery(searchParams, defaults = {}) {
+    const number = (name, fallback = null) => {
+        const raw = searchParams.get(name);
+        if (raw === null || raw === '') return fallback;
+        const value = parseFloat(raw);
+        if (Number.isNaN(value)) throw new HttpError(400, `${name} must be a number, got "${raw}"`);
+        return value;
+    };
+
+    let position = null;
+    const rawPosition = searchParams.get('position');
+    if (rawPosition) {
+        position = POSITION_ALIASES[rawPosition.toLowerCase()];
+        if (!position) throw new HttpError(400, `Unknown position "${rawPosition}" (use GK, DEF, MID or FWD)`);
+    }
+
+    const availability = searchParams.get('availability') || null;
+    if (availability && !AVAILABILITY_MODES.includes(availability)) {
+        throw new HttpError(400, `Unknown availability mode "${availability}" (use ${AVAILABILITY_MODES.join(', ')})`);
+    }
+
+    const horizon = number('horizon', defaults.horizon || 1);
+    const maxHorizon = defaults.maxHorizon !== undefined ? defaults.maxHorizon : Infinity;
+    if (!Number.isInteger(horizon) || horizon < 1 || horizon > maxHorizon) {
+        throw new HttpError(400, `horizon must be a whole number of gameweeks from 1 to ${maxHorizon}, got ${horizon}`);
+    }
+
+    return {
+        limit: number('limit', defaults.limit || 10),
+        availability,
+        position,
+        minPrice: number('minPrice'),
+        maxPrice: number('maxPrice'),
+        maxOwnership: number('maxOwnership', defaults.maxOwnership !== undefined ? defaults.maxOwnership : null),
+        minPoints: number('minPoints', defaults.minPoints !== undefined ? defaults.minPoints : null),
+        horizon
+    };
+}
+
+/**
+ * Route table: method, path pattern and a handler returning the JSON body
+ */
+function createRoutes(store) {
+    const filterFor = query => player => matchesFilters(player, query);
+    // Every data route parses through here, so horizon is checked against the loaded season
+    const queryFor = (searchParams, defaults = {}) =>
+        parseQuery(searchParams, { ...defaults, maxHorizon: store.getMaxHorizon() });
+
+    return [
+        {
+            method: 'GET',
+            pattern: /^\/health$/,
+            handler: () => store.getStatus(),
+            needsData: false
+        },
+        {
+            method: 'GET',
+            pattern: /^\/players\/top$/,
+            handler: ({ searchParams }) => {
+                const query = queryFor(searchParams);
+                return store.getAnalyzer(filterFor(query), query.availability).getTopScorers(query.limit);
+            }
+        },
+        {
+            method: 'GET',
+            pattern: /^\/players\/value$/,
+            handler: ({ searchParams }) => {
+                const query = queryFor(searchParams);
+                return store.getAnalyzer(filterFor(query), query.availability).getBestValuePlayers(query.limit);
+            }
+        },
+        {
+            method: 'GET',
+            pattern: /^\/players\/form$/,
+            handler: ({ searchParams }) => {
+                const query = queryFor(searchParams);
+                return store.getAnalyzer(filterFor(query), query.availability).getBestFormPlayers(query.limit);
+            }
+        },
+        {
+            method: 'GET',
+            pattern: /^\/players\/differentials$/,
+            handler: ({ searchParams }) => {
+                const query = queryFor(searchParams, { maxOwnership: 5.0, minPoints: 40 });
+                return store.getAnalyzer(filterFor(query), query.availability)
+                    .getDifferentialPicks(query.maxOwnership, query.minPoints)
+                    .slice(0, query.limit);
+            }
+        },
+        {
+            method: 'GET',
+            pattern: /^\/players\/(\d+)$/,
+            handler: ({ params, searchParams }) => {
+                const playerId = parseInt(params[0], 10);
+                const query = queryFor(searchParams, { horizon: 5 });
+                return getPlayerSummary(store, playerId, query.horizon);
+            }
+        },
+        {
+            method: 'GET',
+            pattern: /^\/teams\/defense$/,
+            handler: ({ searchParams }) => {
+                const query = queryFor(searchParams, { limit: 20 });
+                const results = store.getDefenseResults();
+                const positions = query.position ? [query.position] : [1, 2, 3, 4];
+
+                // weightForRound is a function, so JSON leaves it out
+                const body = { weighting: results.weighting || null };
+                positions.forEach(position => {
+                    body[POSITION_KEYS[position]] = results[POSITION_KEYS[position]].slice(0, query.limit);
+                });
+                return body;
+            }
+        },
+        {
+            method: 'GET',
+            pattern: /^\/recommendations$/,
+            handler: ({ searchParams }) => {
+                const query = queryFor(searchParams, { horizon: 3 });
+
+                const byPosition = store.getRecommendations(query.horizon);
+                const positions = query.position ? [POSITION_NAMES[query.position]] : Object.keys(byPosition);
+                const allowedIds = new Set(store.getFixtureAnalyzer().allPlayersData
+                    .filter(filterFor(query))
+                    .map(player => player.id));
+
+                const body = { horizon: query.horizon };
+                positions.forEach(position => {
+                    body[position] = byPosition[position]
+                        .filter(player => allowedIds.has(player.id))
+                        .slice(0, query.limit);
+                });
+                return body;
+            }
+        }
+    ];
+}
+
+/**
+ * One player's bootstrap stats with upcoming fixtures and projected points
+ */
+function getPlayerSummary(store, playerId, gameweeksAhead) {
+    const analyzer = store.getAnalyzer();
+    const fixtureAnalyzer = store.getFixtureAnalyzer();
+    const player = analyzer.allPlayersData.find(p => p.id === playerId);
+    if (!player) throw new HttpError(404, `Player with ID ${playerId} not found`);
+
+    return {
+        id: player.id,
+        name: `${player.first_name} ${player.second_name}`,
+        webName: player.web_name,
+        position: analyzer.getPositionName(player.element_type),
+        team: analyzer.getTeamName(player.team),
+        cost: player.now_cost / 10,
+        totalPoints: player.total_points,
+        pointsPerGame: parseFloat(player.points_per_game),
+        form: parseFloat(player.form),
+        selectedBy: parseFloat(player.selected_by_percent),
+        availability: getAvailability(player),
+        seasonStats: {
+            goals: player.goals_scored,
+            assists: player.assists,
+            cleanSheets: player.clean_sheets,
+            minutes: player.minutes,
+            bonus: player.bonus
+        },
+        upcomingFixtures: fixtureAnalyzer.getPlayerUpcomingFixtures(player.id, gameweeksAhead),
+        projectedPoints: parseFloat(fixtureAnalyzer.getProjectedPoints(player.id, gameweeksAhead).toFixed(2))
+    };
+}
+
+function sendJson(res, status, body) {
+    const payload = JSON.stringify(body, null, 2);
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(payload)
+    });
+    res.end(payload);
+}
+
+/**
+ * HTTP server answering the route table from the data store
+ */
+function createServer(store) {
+    const routes = createRoutes(store);
+
+    return http.createServer((req, res) => {
+        try {
+            // A fixed base: the Host header is client input and may not parse
+            let url;
+            try {
+                url = new URL(req.url, 'http://localhost');
+            } catch (error) {
+                throw new HttpError(400, `Malformed request URL "${req.url}"`);
+            }
+            const pathname = url.pathname.replace(/\/+$/, '') || '/';
+
+            const matching = routes.filter(r => r.pattern.test(pathname));
+            if (matching.length === 0) throw new HttpError(404, `No route for ${pathname}`);
+
+            const route = matching.find(r => r.method === req.method);
+            if (!route) throw new HttpError(405, `${req.method} not allowed on ${pathname}`);
+
+            if (route.needsData !== false && !store.isReady()) {
+                throw new HttpError(503, 'Data is still loading, try again shortly');
+            }
+
+            const params = pathname.match(route.pattern).slice(1);
+            sendJson(res, 200, route.handler({ params, searchParams: url.searchParams }));
+        } catch (error) {
+            const status = error.status || 500;
+            if (status === 500) console.error(`Error handling ${req.method} ${req.url}:`, error.message);
+            sendJson(res, status, { error: error.message });
+        }
+    });
+}
+
+/**
+ * Start the server, then load the data store in the background
+ */
+async function runServer(options = {}) {
+    const port = options.port || parseInt(process.env.PORT, 10) || DEFAULT_PORT;
+    const host = options.host || process.env.HOST || DEFAULT_HOST;
+
+    const store = options.store || new FPLDataStore(options);
+    const server = createServer(store);
+
+    await new Promise(resolve => server.listen(port, host, resolve));
+    console.log(`FPL API listening on http://${host}:${port}`);
+
+    store.start().catch(error => {
+        console.error('Initial data load failed:', error.message);
+    });
+
+    return { server, store };
+}
+
+module.exports = {
+    createServer,
+    runServer,
+    HttpError
+};
+
+// Run server if this file is executed directly
+if (require.main === module) {
+    runServer({ port: parseInt(process.argv[2], 10) || undefined });
+}
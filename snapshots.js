@@ -0,0 +1,205 @@
+/**
+ * FPL Snapshot Store
+ * Saves FPL API responses to disk and serves them back for offline replay
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_SNAPSHOT_ROOT = path.join(__dirname, 'snapshots');
+
+class SnapshotStore {
+    constructor(rootDir = process.env.FPL_SNAPSHOT_DIR || DEFAULT_SNAPSHOT_ROOT) {
+        this.rootDir = rootDir;
+    }
+
+    /**
+     * Build a dated gameweek folder name, e.g. 2024-10-05-gw7
+     */
+    getSnapshotName(gameweek, date = new Date()) {
+        const day = date.toISOString().slice(0, 10);
+        return `${day}-gw${gameweek}`;
+    }
+
+    /**
+     * List saved snapshots, oldest first
+     */
+    listSnapshots() {
+        if (!fs.existsSync(this.rootDir)) return [];
+
+        return fs.readdirSync(this.rootDir, { withFileTypes: true })
+            .filter(entry => entry.isDirectory())
+            .map(entry => entry.name)
+            .sort();
+    }
+
+    /**
+     * Resolve a snapshot name, accepting 'latest' for the most recent one
+     */
+    resolveSnapshot(name) {
+        if (name === 'latest') {
+            const snapshots = this.listSnapshots();
+            if (snapshots.length === 0) {
+                throw new Error(`No snapshots found in ${this.rootDir}`);
+            }
+            return snapshots[snapshots.length - 1];
+        }
+
+        if (!fs.existsSync(path.join(this.rootDir, name))) {
+            throw new Error(`Snapshot "${name}" not found in ${this.rootDir}`);
+        }
+        return name;
+    }
+
+    /**
+     * Map an API endpoint to a file inside a snapshot folder
+     * e.g. 'element-summary/12/' -> '<root>/<snapshot>/element-summary/12.json'
+     */
+    getEndpointPath(snapshotName, endpoint) {
+        const relative = endpoint.replace(/^\/+|\/+$/g, '');
+        return path.join(this.rootDir, snapshotName, `${relative}.json`);
+    }
+
+    /**
+     * Check whether a snapshot holds a recorded response for an endpoint
+     */
+    has(snapshotName, endpoint) {
+        return fs.existsSync(this.getEndpointPath(this.resolveSnapshot(snapshotName), endpoint));
+    }
+
+    /**
+     * Read a recorded API response from a snapshot
+     */
+    read(snapshotName, endpoint) {
+        const filePath = this.getEndpointPath(this.resolveSnapshot(snapshotName), endpoint);
+
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`Snapshot "${snapshotName}" has no recorded response for ${endpoint}`);
+        }
+
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+
+    /**
+     * Write an API response into a snapshot
+     */
+    write(snapshotName, endpoint, data) {
+        const filePath = this.getEndpointPath(snapshotName, endpoint);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, JSON.stringify(data));
+        return filePath;
+    }
+}
+
+/**
+ * Fetch bootstrap-static, fixtures and every element-summary and save them as a new snapshot
+ * options.entryIds also records those managers' entry, history, transfers and current picks
+ * options.leagueIds also records those classic leagues' standings and the current picks of their
+ * first options.maxLeagueEntries members (the same cap MiniLeague.load uses by default)
+ */
+async function captureSnapshot(options = {}) {
+    // Required lazily because the API client (loaded by requests.js) reads from the snapshot store
+    const {
+        getBootstrapData, getAllFixtures, getPlayerData, getEntry, getEntryHistory, getEntryTransfers, getEntryPicks, getLeagueStandings
+    } = require('./requests');
+    const { DEFAULT_MAX_ENTRIES } = require('./mini_league');
+    const store = options.store || new SnapshotStore();
+
+    const bootstrapData = await getBootstrapData();
+    const fixtures = await getAllFixtures();
+
+    // Name the folder after the gameweek the data describes
+    const currentEvent = bootstrapData.events.find(e => e.is_current) ||
+        bootstrapData.events.find(e => e.is_next) ||
+        { id: 0 };
+    const snapshotName = options.name || store.getSnapshotName(currentEvent.id);
+
+    console.log(`Saving snapshot "${snapshotName}" to ${store.rootDir}...`);
+
+    store.write(snapshotName, 'bootstrap-static/', bootstrapData);
+    store.write(snapshotName, 'fixtures/', fixtures);
+
+    const playerIds = bootstrapData.elements.map(p => p.id);
+    const failed = [];
+
+    // The shared API client limits concurrency and retries failed requests
+    await Promise.all(playerIds.map(async playerId => {
+        try {
+            const playerData = await getPlayerData(playerId);
+            store.write(snapshotName, `element-summary/${playerId}/`, playerData);
+        } catch (error) {
+            failed.push(playerId);
+        }
+    }));
+
+    // Optionally record managers' teams so personalised analysis can be replayed too
+    for (const entryId of options.entryIds || []) {
+        const entry = await getEntry(entryId);
+        store.write(snapshotName, `entry/${entryId}/`, entry);
+        store.write(snapshotName, `entry/${entryId}/history/`, await getEntryHistory(entryId));
+        store.write(snapshotName, `entry/${entryId}/transfers/`, await getEntryTransfers(entryId));
+        if (entry.current_event) {
+            store.write(snapshotName, `entry/${entryId}/event/${entry.current_event}/picks/`,
+                await getEntryPicks(entryId, entry.current_event));
+        }
+    }
+
+    // Optionally record mini-leagues so league analysis can be replayed too
+    // Picks only exist once a gameweek's deadline has passed, so leagues need a current event
+    const leagueEvent = bootstrapData.events.find(e => e.is_current);
+    const failedEntries = [];
+    if ((options.leagueIds || []).length > 0 && !leagueEvent) {
+        console.warn('No gameweek has started yet, so no league picks to record; skipping leagues');
+    }
+    const maxEntries = options.maxLeagueEntries || DEFAULT_MAX_ENTRIES;
+    for (const leagueId of leagueEvent ? options.leagueIds || [] : []) {
+        const members = [];
+        for (let page = 1; members.length < maxEntries; page++) {
+            const standings = await getLeagueStandings(leagueId, page);
+            const query = page > 1 ? `?page_standings=${page}` : ''; // Matches getLeagueStandings
+            store.write(snapshotName, `leagues-classic/${leagueId}/standings/${query}`, standings);
+            members.push(...standings.standings.results.map(result => result.entry));
+            if (!standings.standings.has_next) break;
+        }
+
+        await Promise.all(members.slice(0, maxEntries).map(async entryId => {
+            try {
+                const endpoint = `entry/${entryId}/event/${leagueEvent.id}/picks/`;
+                store.write(snapshotName, endpoint, await getEntryPicks(entryId, leagueEvent.id));
+            } catch (error) {
+                failedEntries.push(entryId);
+            }
+        }));
+    }
+
+    console.log(`Snapshot saved: ${playerIds.length - failed.length}/${playerIds.length} player summaries`);
+    if (failed.length > 0) {
+        console.warn(`Missing player summaries: ${failed.join(', ')}`);
+    }
+    if (failedEntries.length > 0) {
+        console.warn(`Missing league picks for entries: ${failedEntries.join(', ')}`);
+    }
+
+    return { name: snapshotName, players: playerIds.length, failed, failedEntries };
+}
+
+module.exports = {
+    SnapshotStore,
+    captureSnapshot
+};
+
+// `node snapshots.js [save] [name] [entryId,...] [leagueId,...]` saves a new snapshot,
+// `node snapshots.js list` shows saved ones
+if (require.main === module) {
+    const command = process.argv[2] || 'save';
+
+    if (command === 'list') {
+        new SnapshotStore().listSnapshots().forEach(name => console.log(name));
+    } else {
+        const ids = arg => (arg || '').split(',').filter(Boolean).map(Number);
+        captureSnapshot({ name: process.argv[3], entryIds: ids(process.argv[4]), leagueIds: ids(process.argv[5]) }).catch(error => {
+            console.error('Snapshot failed:', error.message);
+            process.exitCode = 1;
+        });
+    }
+}
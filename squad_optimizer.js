@@ -0,0 +1,438 @@
+/**
+ * FPL Squad Optimizer
+ * Picks the best legal 15-man squad under a budget, plus the starting XI and captain
+ */
+
+const { FPLAnalyzer } = require('./analysis');
+
+// Squad composition: 2 GK, 5 DEF, 5 MID, 3 FWD
+const SQUAD_LIMITS = { 1: 2, 2: 5, 3: 5, 4: 3 };
+const SQUAD_SIZE = 15;
+const MAX_PER_CLUB = 3;
+
+// Starting XI limits per position for a valid formation
+const FORMATION_LIMITS = {
+    1: { min: 1, max: 1 },
+    2: { min: 3, max: 5 },
+    3: { min: 2, max: 5 },
+    4: { min: 1, max: 3 }
+};
+
+const POSITION_NAMES = { 1: 'Goalkeeper', 2: 'Defender', 3: 'Midfielder', 4: 'Forward' };
+
+class SquadOptimizer {
+    /**
+     * players: bootstrap elements
+     * options.teams: bootstrap teams, used for club names in the output
+     * options.fixtureAnalyzer: an initialized PlayerFixtureAnalyzer, required for the 'projected' objective
+     * options.projectionModel: an ExpectedPointsModel, required for the 'xp' objective
+     * options.horizon: gameweeks to project over for the 'projected' and 'xp' objectives
+     */
+    constructor(players, options = {}) {
+        this.players = players;
+        this.teams = options.teams || [];
+        this.fixtureAnalyzer = options.fixtureAnalyzer || null;
+        this.projectionModel = options.projectionModel || null;
+        this.horizon = options.horizon || 3;
+        this.benchWeight = 0.1;
+    }
+
+    /**
+     * Score a player for the chosen objective: 'points', 'form', 'projected' or 'xp'
+     */
+    scorePlayer(player, objective) {
+        switch (objective) {
+            case 'points':
+                return player.total_points;
+            case 'form':
+                return parseFloat(player.form) || 0;
+            case 'projected':
+                if (!this.fixtureAnalyzer) {
+                    throw new Error("The 'projected' objective needs a fixtureAnalyzer");
+                }
+                return this.fixtureAnalyzer.getProjectedPoints(player.id, this.horizon);
+            case 'xp':
+                if (!this.projectionModel) {
+                    throw new Error("The 'xp' objective needs a projectionModel");
+                }
+                return this.projectionModel.getExpectedPoints(player.id, this.horizon);
+            default:
+                throw new Error(`Unknown objective "${objective}"`);
+        }
+    }
+
+    /**
+     * Select the best squad
+     * Options: budget (£m), objective, lockedIds, bannedIds, benchWeight (how much bench scores count),
+     * availableOnly (skip injured/suspended players unless locked), scores (id -> score override)
+     */
+    optimize(options = {}) {
+        const {
+            budget = 100.0,
+            objective = 'points',
+            lockedIds = [],
+            bannedIds = [],
+            benchWeight = 0.1,
+            availableOnly = true,
+            scores = null
+        } = options;
+
+        const budgetTenths = Math.round(budget * 10);
+        const banned = new Set(bannedIds);
+        const locked = new Set(lockedIds);
+
+        lockedIds.forEach(id => {
+            if (banned.has(id)) throw new Error(`Player ${id} is both locked and banned`);
+        });
+
+        // Build candidate pool with scores
+        const candidates = this.players
+            .filter(player => locked.has(player.id) ||
+                (!banned.has(player.id) && (!availableOnly || player.status === 'a')))
+            .map(player => ({
+                player,
+                id: player.id,
+                position: player.element_type,
+                team: player.team,
+                cost: player.now_cost,
+                score: scores && scores[player.id] !== undefined
+                    ? scores[player.id]
+                    : this.scorePlayer(player, objective)
+            }));
+
+        const lockedCandidates = candidates.filter(c => locked.has(c.id));
+        if (lockedCandidates.length !== locked.size) {
+            const missing = lockedIds.filter(id => !lockedCandidates.some(c => c.id === id));
+            throw new Error(`Locked players not found: ${missing.join(', ')}`);
+        }
+
+        this.benchWeight = benchWeight;
+        const pool = this.buildPool(candidates, locked);
+
+        let squad = this.greedySquad(pool, lockedCandidates, budgetTenths);
+        squad = this.improveSquad(squad, pool, locked, budgetTenths);
+
+        return this.describeSquad(squad, budgetTenths, objective);
+    }
+
+    /**
+     * Keep the strongest and cheapest options per position so local search stays fast
+     */
+    buildPool(candidates, locked) {
+        const pool = [];
+
+        Object.keys(SQUAD_LIMITS).forEach(position => {
+            const positionCandidates = candidates.filter(c => c.position === parseInt(position, 10));
+            const byScore = [...positionCandidates].sort((a, b) => b.score - a.score).slice(0, 30);
+            const byCost = [...positionCandidates].sort((a, b) => a.cost - b.cost || b.score - a.score).slice(0, 8);
+            const byValue = [...positionCandidates]
+                .sort((a, b) => b.score / b.cost - a.score / a.cost)
+                .slice(0, 15);
+
+            const seen = new Set();
+            [...byScore, ...byCost, ...byValue, ...positionCandidates.filter(c => locked.has(c.id))]
+                .forEach(candidate => {
+                    if (!seen.has(candidate.id)) {
+                        seen.add(candidate.id);
+                        pool.push(candidate);
+                    }
+                });
+        });
+
+        return pool;
+    }
+
+    /**
+     * Build a starting squad greedily, always leaving enough money to fill the remaining slots
+     */
+    greedySquad(pool, lockedCandidates, budgetTenths) {
+        const squad = [...lockedCandidates];
+
+        if (!this.isLegal(squad, budgetTenths, true)) {
+            throw new Error('Locked players break the squad rules or the budget');
+        }
+
+        const sorted = [...pool].sort((a, b) => b.score - a.score);
+
+        for (const candidate of sorted) {
+            if (squad.length === SQUAD_SIZE) break;
+            if (squad.some(c => c.id === candidate.id)) continue;
+
+            const next = [...squad, candidate];
+            if (this.isLegal(next, budgetTenths, true) && this.canComplete(next, pool, budgetTenths)) {
+                squad.push(candidate);
+            }
+        }
+
+        if (squad.length < SQUAD_SIZE) {
+            throw new Error('No legal squad fits within the budget');
+        }
+
+        return squad;
+    }
+
+    /**
+     * Check that the cheapest way to fill the remaining slots still fits the budget
+     */
+    canComplete(squad, pool, budgetTenths) {
+        const ids = new Set(squad.map(c => c.id));
+        const clubCounts = {};
+        const positionCounts = {};
+        let cost = 0;
+
+        squad.forEach(c => {
+            clubCounts[c.team] = (clubCounts[c.team] || 0) + 1;
+            positionCounts[c.position] = (positionCounts[c.position] || 0) + 1;
+            cost += c.cost;
+        });
+
+        // Fill every open slot with the cheapest player whose club still has room
+        const cheapestFirst = pool
+            .filter(c => !ids.has(c.id))
+            .sort((a, b) => a.cost - b.cost);
+
+        for (const candidate of cheapestFirst) {
+            if ((positionCounts[candidate.position] || 0) >= SQUAD_LIMITS[candidate.position]) continue;
+            if ((clubCounts[candidate.team] || 0) >= MAX_PER_CLUB) continue;
+
+            positionCounts[candidate.position] = (positionCounts[candidate.position] || 0) + 1;
+            clubCounts[candidate.team] = (clubCounts[candidate.team] || 0) + 1;
+            cost += candidate.cost;
+        }
+
+        const filled = Object.keys(SQUAD_LIMITS)
+            .every(position => (positionCounts[position] || 0) === SQUAD_LIMITS[position]);
+
+        return filled && cost <= budgetTenths;
+    }
+
+    /**
+     * Check position counts, the club limit and the budget
+     * partial allows squads that are not yet full
+     */
+    isLegal(squad, budgetTenths, partial = false) {
+        const positionCounts = {};
+        const clubCounts = {};
+        let cost = 0;
+
+        for (const candidate of squad) {
+            positionCounts[candidate.position] = (positionCounts[candidate.position] || 0) + 1;
+            clubCounts[candidate.team] = (clubCounts[candidate.team] || 0) + 1;
+            cost += candidate.cost;
+
+            if (positionCounts[candidate.position] > SQUAD_LIMITS[candidate.position]) return false;
+            if (clubCounts[candidate.team] > MAX_PER_CLUB) return false;
+        }
+
+        if (cost > budgetTenths) return false;
+        return partial || squad.length === SQUAD_SIZE;
+    }
+
+    /**
+     * Local search: apply the best one- or two-player swap until nothing improves the squad
+     */
+    improveSquad(squad, pool, locked, budgetTenths) {
+        let current = squad;
+        let currentValue = this.evaluateSquad(current);
+        let improved = true;
+
+        while (improved) {
+            improved = false;
+            let best = null;
+            let bestValue = currentValue;
+
+            const ids = new Set(current.map(c => c.id));
+            const outs = current.filter(c => !locked.has(c.id));
+            const ins = pool.filter(c => !ids.has(c.id));
+
+            // Single swaps within a position
+            outs.forEach(out => {
+                ins.filter(c => c.position === out.position).forEach(candidate => {
+                    const next = current.map(c => (c.id === out.id ? candidate : c));
+                    if (!this.isLegal(next, budgetTenths)) return;
+
+                    const value = this.evaluateSquad(next);
+                    if (value > bestValue + 1e-9) {
+                        best = next;
+                        bestValue = value;
+                    }
+                });
+            });
+
+            // Double swaps let an upgrade be funded by a downgrade elsewhere
+            if (!best) {
+                for (let i = 0; i < outs.length; i++) {
+                    for (let j = i + 1; j < outs.length; j++) {
+                        const outA = outs[i];
+                        const outB = outs[j];
+                        const insA = ins.filter(c => c.position === outA.position);
+                        const insB = ins.filter(c => c.position === outB.position);
+
+                        insA.forEach(inA => {
+                            insB.forEach(inB => {
+                                if (inA.id === inB.id) return;
+                                const next = current.map(c => {
+                                    if (c.id === outA.id) return inA;
+                                    if (c.id === outB.id) return inB;
+                                    return c;
+                                });
+                                if (!this.isLegal(next, budgetTenths)) return;
+
+                                const value = this.evaluateSquad(next);
+                                if (value > bestValue + 1e-9) {
+                                    best = next;
+                                    bestValue = value;
+                                }
+                            });
+                        });
+                    }
+                }
+            }
+
+            if (best) {
+                current = best;
+                currentValue = bestValue;
+                improved = true;
+            }
+        }
+
+        return current;
+    }
+
+    /**
+     * Squad value: starting XI plus captain (counted twice), with bench scores discounted
+     */
+    evaluateSquad(squad) {
+        const { startingXI, bench } = this.pickStartingXI(squad);
+        const xiScore = startingXI.reduce((sum, c) => sum + c.score, 0);
+        const captainScore = startingXI.length > 0 ? Math.max(...startingXI.map(c => c.score)) : 0;
+        const benchScore = bench.reduce((sum, c) => sum + c.score, 0);
+
+        return xiScore + captainScore + (this.benchWeight || 0) * benchScore;
+    }
+
+    /**
+     * Choose the highest scoring starting XI in a valid formation
+     */
+    pickStartingXI(squad) {
+        const byPosition = {};
+        Object.keys(FORMATION_LIMITS).forEach(position => {
+            byPosition[position] = squad
+                .filter(c => c.position === parseInt(position, 10))
+                .sort((a, b) => b.score - a.score);
+        });
+
+        // Fill the minimum for each position first
+        const startingXI = [];
+        Object.keys(FORMATION_LIMITS).forEach(position => {
+            startingXI.push(...byPosition[position].slice(0, FORMATION_LIMITS[position].min));
+        });
+
+        // Fill the remaining outfield spots with the best players left
+        const remaining = squad
+            .filter(c => c.position !== 1 && !startingXI.includes(c))
+            .sort((a, b) => b.score - a.score);
+
+        for (const candidate of remaining) {
+            if (startingXI.length === 11) break;
+            const count = startingXI.filter(c => c.position === candidate.position).length;
+            if (count < FORMATION_LIMITS[candidate.position].max) {
+                startingXI.push(candidate);
+            }
+        }
+
+        // Bench: backup goalkeeper first, then outfield players by score
+        const bench = squad
+            .filter(c => !startingXI.includes(c))
+            .sort((a, b) => {
+                if (a.position === 1 && b.position !== 1) return -1;
+                if (b.position === 1 && a.position !== 1) return 1;
+                return b.score - a.score;
+            });
+
+        startingXI.sort((a, b) => a.position - b.position || b.score - a.score);
+
+        return { startingXI, bench };
+    }
+
+    /**
+     * Format the optimized squad for display
+     */
+    describeSquad(squad, budgetTenths, objective) {
+        const { startingXI, bench } = this.pickStartingXI(squad);
+        const byScore = [...startingXI].sort((a, b) => b.score - a.score);
+        const totalCost = squad.reduce((sum, c) => sum + c.cost, 0);
+
+        const formation = [2, 3, 4]
+            .map(position => startingXI.filter(c => c.position === position).length)
+            .join('-');
+
+        return {
+            objective,
+            formation,
+            captain: this.formatPlayer(byScore[0]),
+            viceCaptain: this.formatPlayer(byScore[1]),
+            startingXI: startingXI.map(c => this.formatPlayer(c)),
+            bench: bench.map(c => this.formatPlayer(c)),
+            squad: [...squad]
+                .sort((a, b) => a.position - b.position || b.score - a.score)
+                .map(c => this.formatPlayer(c)),
+            totalCost: totalCost / 10,
+            budgetRemaining: (budgetTenths - totalCost) / 10,
+            projectedScore: parseFloat(this.evaluateSquad(squad).toFixed(2))
+        };
+    }
+
+    formatPlayer(candidate) {
+        if (!candidate) return null;
+
+        const team = this.teams.find(t => t.id === candidate.team);
+        return {
+            id: candidate.id,
+            webName: candidate.player.web_name,
+            position: POSITION_NAMES[candidate.position],
+            team: team ? team.name : 'Unknown',
+            cost: candidate.cost / 10,
+            score: parseFloat(candidate.score.toFixed(2))
+        };
+    }
+}
+
+/**
+ * Example usage: best squad by total points
+ */
+async function runSquadOptimization(options = {}) {
+    try {
+        const analyzer = new FPLAnalyzer();
+        await analyzer.initialize();
+
+        const optimizer = new SquadOptimizer(analyzer.allPlayersData, { teams: analyzer.bootstrapData.teams });
+        const result = optimizer.optimize(options);
+
+        console.log(`\n=== OPTIMAL SQUAD (${result.objective}, ${result.formation}) ===`);
+        console.table(result.startingXI);
+        console.log('Bench:');
+        console.table(result.bench);
+        console.log(`Captain: ${result.captain.webName} | Vice: ${result.viceCaptain.webName}`);
+        console.log(`Cost: £${result.totalCost.toFixed(1)}m | In the bank: £${result.budgetRemaining.toFixed(1)}m`);
+
+        return result;
+
+    } catch (error) {
+        console.error('Squad optimization failed:', error.message);
+        throw error;
+    }
+}
+
+module.exports = {
+    SquadOptimizer,
+    runSquadOptimization,
+    SQUAD_LIMITS,
+    FORMATION_LIMITS,
+    MAX_PER_CLUB
+};
+
+// Run optimization if this file is executed directly
+if (require.main === module) {
+    runSquadOptimization();
+}
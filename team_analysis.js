@@ -3,13 +3,29 @@
  * Analyzes which teams allow the most FPL points to each positional group
  */
 
-const { getAllPlayerIds, getPlayerData } = require('./requests');
+const { getAllPlayerIds, getPlayerData, getAllFixtures, getBootstrapData, getFailureReport } = require('./requests');
+const { FixtureCalendar } = require('./fixture_calendar');
+const { getAvailability, filterByAvailability, getAvailabilityWeight, AVAILABILITY_MODES } = require('./availability');
+const { MinutesModel } = require('./minutes_model');
+
+// Venue per-90 figures are blended toward the overall figure with this many matches of weight,
+// so a venue split built on a handful of games doesn't swing vulnerability scores
+const VENUE_SHRINKAGE_GAMES = 3;
+
+// Weighted runs produce fractional totals; keep them readable
+const round2 = value => Math.round(value * 100) / 100;
+
+// Points per 90 minutes played by the position group
+const per90 = (points, minutes) => (minutes > 0 ? points / (minutes / 90) : 0);
 
 class TeamDefenseAnalyzer {
     constructor() {
         this.bootstrapData = null;
         this.allPlayersData = null;
         this.teams = null;
+        this.failedPlayerIds = [];
+        this.appearances = []; // One row per player appearance, aggregated by calculateResults
+        this.teamExpectedStats = {}; // Expected and actual goals conceded per team, by teamId
         this.teamDefenseStats = {
             1: {}, // Goalkeepers
             2: {}, // Defenders  
@@ -25,16 +41,29 @@ class TeamDefenseAnalyzer {
         console.log('Initializing Team Defense Analyzer...');
         
         await this.loadBootstrapData();
+        this.resetDefenseStats();
         
-        // Initialize team defense stats for each position
+        console.log('Team Defense Analyzer initialized successfully!');
+    }
+
+    /**
+     * Initialize team defense stats for each position, split by the defending team's venue
+     */
+    resetDefenseStats() {
         this.teams.forEach(team => {
-            this.teamDefenseStats[1][team.id] = { name: team.name, pointsAllowed: 0, games: 0 };
-            this.teamDefenseStats[2][team.id] = { name: team.name, pointsAllowed: 0, games: 0 };
-            this.teamDefenseStats[3][team.id] = { name: team.name, pointsAllowed: 0, games: 0 };
-            this.teamDefenseStats[4][team.id] = { name: team.name, pointsAllowed: 0, games: 0 };
+            [1, 2, 3, 4].forEach(position => {
+                this.teamDefenseStats[position][team.id] = {
+                    id: team.id,
+                    name: team.name,
+                    pointsAllowed: 0,
+                    games: 0,
+                    minutes: 0,
+                    home: { pointsAllowed: 0, games: 0, minutes: 0 },
+                    away: { pointsAllowed: 0, games: 0, minutes: 0 }
+                };
+            });
+            this.teamExpectedStats[team.id] = { id: team.id, name: team.name, xGC: 0, goalsConceded: 0, games: 0 };
         });
-        
-        console.log('Team Defense Analyzer initialized successfully!');
     }
 
     /**
@@ -42,8 +71,7 @@ class TeamDefenseAnalyzer {
      */
     async loadBootstrapData() {
         try {
-            const response = await fetch('https://fantasy.premierleague.com/api/bootstrap-static/');
-            const data = await response.json();
+            const data = await getBootstrapData();
             
             this.bootstrapData = data;
             this.allPlayersData = data.elements;
@@ -58,8 +86,10 @@ class TeamDefenseAnalyzer {
 
     /**
      * Analyze defense performance by fetching all player gameweek data
+     * options.window: only count the last N gameweeks
+     * options.halfLife: weight each gameweek by 0.5^(gameweeks ago / halfLife)
      */
-    async analyzeTeamDefense() {
+    async analyzeTeamDefense(options = {}) {
         console.log('Starting comprehensive team defense analysis...');
         console.log('This may take a few minutes as we need to fetch data for all players...\n');
 
@@ -67,50 +97,40 @@ class TeamDefenseAnalyzer {
         const totalPlayers = playerIds.length;
         let processedPlayers = 0;
 
-        // Process players in batches to avoid overwhelming the API
-        const batchSize = 50;
-        
-        for (let i = 0; i < playerIds.length; i += batchSize) {
-            const batch = playerIds.slice(i, i + batchSize);
-            
-            // Process batch with slight delays between requests
-            const batchPromises = batch.map((playerId, index) => {
-                return new Promise(async (resolve) => {
-                    // Add a small delay to avoid rate limiting
-                    setTimeout(async () => {
-                        try {
-                            await this.processPlayerData(playerId);
-                            processedPlayers++;
-                            
-                            // Log progress every 50 players
-                            if (processedPlayers % 50 === 0 || processedPlayers === totalPlayers) {
-                                console.log(`Progress: ${processedPlayers}/${totalPlayers} players processed (${((processedPlayers/totalPlayers)*100).toFixed(1)}%)`);
-                            }
-                            
-                            resolve();
-                        } catch (error) {
-                            console.error(`Error processing player ${playerId}:`, error.message);
-                            processedPlayers++;
-                            resolve();
-                        }
-                    }, index * 100); // 100ms delay between each request in batch
-                });
-            });
+        this.failedPlayerIds = [];
+        this.appearances = [];
+
+        // The shared API client limits concurrency and retries rate-limited requests,
+        // so every player can be queued at once
+        await Promise.all(playerIds.map(async playerId => {
+            try {
+                await this.processPlayerData(playerId);
+            } catch (error) {
+                console.error(`Error processing player ${playerId}:`, error.message);
+                this.failedPlayerIds.push(playerId);
+            }
 
-            await Promise.all(batchPromises);
-            
-            // Longer delay between batches
-            if (i + batchSize < playerIds.length) {
-                await new Promise(resolve => setTimeout(resolve, 2000)); // 2 second delay between batches
+            processedPlayers++;
+
+            // Log progress every 50 players
+            if (processedPlayers % 50 === 0 || processedPlayers === totalPlayers) {
+                console.log(`Progress: ${processedPlayers}/${totalPlayers} players processed (${((processedPlayers/totalPlayers)*100).toFixed(1)}%)`);
             }
+        }));
+
+        if (this.failedPlayerIds.length > 0) {
+            console.warn(`\n⚠️  ${this.failedPlayerIds.length} players could not be fetched after retries; their points are missing from the totals.`);
+            getFailureReport().failed.forEach(failure => {
+                console.warn(`   ${failure.endpoint} - ${failure.error} (${failure.attempts} attempts)`);
+            });
         }
 
         console.log('\nAnalysis complete! Calculating results...\n');
-        return this.calculateResults();
+        return this.calculateResults(options);
     }
 
     /**
-     * Process individual player data to extract points scored against each opponent
+     * Process individual player data to record the points scored against each opponent
      */
     async processPlayerData(playerId) {
         const playerInfo = this.allPlayersData.find(p => p.id === playerId);
@@ -128,17 +148,127 @@ class TeamDefenseAnalyzer {
                 
                 // Only count games where the player actually played
                 if (gameweek.minutes > 0 && opponentTeamId && this.teamDefenseStats[playerPosition][opponentTeamId]) {
-                    this.teamDefenseStats[playerPosition][opponentTeamId].pointsAllowed += gameweek.total_points;
-                    this.teamDefenseStats[playerPosition][opponentTeamId].games += 1;
+                    this.appearances.push({
+                        position: playerPosition,
+                        opponentTeamId,
+                        fixture: gameweek.fixture,
+                        round: gameweek.round,
+                        points: gameweek.total_points,
+                        minutes: gameweek.minutes,
+                        expectedGoals: parseFloat(gameweek.expected_goals) || 0,
+                        // Goals the defending team conceded in this fixture
+                        goalsConceded: gameweek.was_home ? gameweek.team_h_score : gameweek.team_a_score,
+                        // The defending team was at home when the player was away, and vice versa
+                        venue: gameweek.was_home ? 'away' : 'home'
+                    });
                 }
             });
         }
     }
 
+    /**
+     * Work out how much each gameweek counts for a run
+     * Returns the latest round and a weight function (0 drops the gameweek)
+     */
+    getRoundWeighting(options = {}) {
+        const { window = null, halfLife = null } = options;
+
+        const finishedEvents = (this.bootstrapData.events || []).filter(e => e.finished);
+        const latestRound = finishedEvents.length > 0
+            ? Math.max(...finishedEvents.map(e => e.id))
+            : Math.max(0, ...this.appearances.map(a => a.round));
+
+        const weightForRound = round => {
+            const gameweeksAgo = latestRound - round;
+            if (window && gameweeksAgo >= window) return 0;
+            return halfLife ? Math.pow(0.5, gameweeksAgo / halfLife) : 1;
+        };
+
+        return {
+            latestRound,
+            window,
+            halfLife,
+            weightForRound
+        };
+    }
+
+    /**
+     * Aggregate recorded appearances into team defense stats using the chosen weighting
+     * Appearances are grouped by fixture first, so a game counts once however many
+     * players from that position featured in it
+     */
+    aggregateAppearances(weighting) {
+        this.resetDefenseStats();
+
+        const matches = new Map();
+        const teamMatches = new Map(); // All positions together, for expected goals conceded
+        this.appearances.forEach(appearance => {
+            const fixtureKey = appearance.fixture !== undefined
+                ? appearance.fixture
+                : `${appearance.round}-${appearance.venue}`;
+            const key = `${appearance.position}:${appearance.opponentTeamId}:${fixtureKey}`;
+            const teamKey = `${appearance.opponentTeamId}:${fixtureKey}`;
+
+            if (!teamMatches.has(teamKey)) {
+                teamMatches.set(teamKey, {
+                    opponentTeamId: appearance.opponentTeamId,
+                    round: appearance.round,
+                    xGC: 0,
+                    goalsConceded: appearance.goalsConceded
+                });
+            }
+            teamMatches.get(teamKey).xGC += appearance.expectedGoals;
+
+            if (!matches.has(key)) {
+                matches.set(key, {
+                    position: appearance.position,
+                    opponentTeamId: appearance.opponentTeamId,
+                    round: appearance.round,
+                    venue: appearance.venue,
+                    points: 0,
+                    minutes: 0
+                });
+            }
+
+            const match = matches.get(key);
+            match.points += appearance.points;
+            match.minutes += appearance.minutes;
+        });
+
+        matches.forEach(match => {
+            const weight = weighting.weightForRound(match.round);
+            if (weight <= 0) return;
+
+            const teamStats = this.teamDefenseStats[match.position][match.opponentTeamId];
+            const venueStats = teamStats[match.venue];
+
+            [teamStats, venueStats].forEach(stats => {
+                stats.pointsAllowed += match.points * weight;
+                stats.minutes += match.minutes * weight;
+                stats.games += weight;
+            });
+        });
+
+        teamMatches.forEach(match => {
+            const weight = weighting.weightForRound(match.round);
+            if (weight <= 0) return;
+
+            const expected = this.teamExpectedStats[match.opponentTeamId];
+            expected.xGC += match.xGC * weight;
+            expected.goalsConceded += (match.goalsConceded || 0) * weight;
+            expected.games += weight;
+        });
+    }
+
     /**
      * Calculate and sort results for each position
+     * Takes the same window/halfLife options as analyzeTeamDefense, so a run can be
+     * re-weighted without fetching player data again
      */
-    calculateResults() {
+    calculateResults(options = {}) {
+        const weighting = this.getRoundWeighting(options);
+        this.aggregateAppearances(weighting);
+
         const results = {
             goalkeepers: [],
             defenders: [],
@@ -161,25 +291,77 @@ class TeamDefenseAnalyzer {
             const sortedTeams = Object.values(teams)
                 .filter(team => team.games > 0) // Only include teams that have played games
                 .map(team => ({
+                    id: team.id,
                     name: team.name,
-                    totalPointsAllowed: team.pointsAllowed,
-                    gamesPlayed: team.games,
-                    avgPointsAllowedPerGame: (team.pointsAllowed / team.games).toFixed(2)
+                    totalPointsAllowed: round2(team.pointsAllowed),
+                    gamesPlayed: round2(team.games),
+                    avgPointsAllowedPerGame: (team.pointsAllowed / team.games).toFixed(2),
+                    pointsAllowedPer90: per90(team.pointsAllowed, team.minutes).toFixed(2),
+                    home: this.summarizeVenue(team.home, team),
+                    away: this.summarizeVenue(team.away, team)
                 }))
-                .sort((a, b) => b.totalPointsAllowed - a.totalPointsAllowed);
+                // Sort by points conceded per match so teams with games in hand aren't flattered
+                .sort((a, b) => parseFloat(b.avgPointsAllowedPerGame) - parseFloat(a.avgPointsAllowedPerGame));
             
             results[positionName] = sortedTeams;
         });
 
+        // Expected goals conceded, leakiest first; conceding fewer than expected suggests
+        // the defence has been lucky and is due to concede more
+        results.expectedGoalsConceded = Object.values(this.teamExpectedStats)
+            .filter(team => team.games > 0)
+            .map(team => ({
+                id: team.id,
+                name: team.name,
+                gamesPlayed: round2(team.games),
+                xGC: round2(team.xGC),
+                goalsConceded: round2(team.goalsConceded),
+                xGCPerGame: (team.xGC / team.games).toFixed(2),
+                goalsConcededPerGame: (team.goalsConceded / team.games).toFixed(2),
+                concededVsExpected: round2(team.goalsConceded - team.xGC)
+            }))
+            .sort((a, b) => parseFloat(b.xGCPerGame) - parseFloat(a.xGCPerGame));
+
+        results.weighting = {
+            latestRound: weighting.latestRound,
+            window: weighting.window,
+            halfLife: weighting.halfLife
+        };
+        results.failedPlayers = this.failedPlayerIds;
+
         return results;
     }
 
+    /**
+     * Venue totals plus a per-90 figure shrunk toward the team's overall per-90 when the sample is small
+     */
+    summarizeVenue(venue, team) {
+        const overallPer90 = per90(team.pointsAllowed, team.minutes);
+        const venuePer90 = per90(venue.pointsAllowed, venue.minutes);
+        const shrunkPer90 = (venuePer90 * venue.games + overallPer90 * VENUE_SHRINKAGE_GAMES) /
+            (venue.games + VENUE_SHRINKAGE_GAMES);
+
+        return {
+            totalPointsAllowed: round2(venue.pointsAllowed),
+            gamesPlayed: round2(venue.games),
+            avgPointsAllowedPerGame: venue.games > 0 ? (venue.pointsAllowed / venue.games).toFixed(2) : '0.00',
+            pointsAllowedPer90: venuePer90.toFixed(2),
+            adjustedPointsAllowedPer90: shrunkPer90.toFixed(2)
+        };
+    }
+
     /**
      * Display results in a formatted way
      */
     displayResults(results) {
         console.log('='.repeat(80));
         console.log('FPL TEAM DEFENSE ANALYSIS - POINTS ALLOWED BY POSITION');
+        if (results.weighting && (results.weighting.window || results.weighting.halfLife)) {
+            const parts = [];
+            if (results.weighting.window) parts.push(`last ${results.weighting.window} gameweeks`);
+            if (results.weighting.halfLife) parts.push(`half-life ${results.weighting.halfLife} gameweeks`);
+            console.log(`Weighting: ${parts.join(', ')} (up to GW${results.weighting.latestRound})`);
+        }
         console.log('='.repeat(80));
 
         const positions = ['forwards', 'midfielders', 'defenders', 'goalkeepers'];
@@ -199,7 +381,7 @@ class TeamDefenseAnalyzer {
                 console.log('\nDetailed Rankings:');
                 teams.forEach((team, index) => {
                     const rank = index + 1;
-                    console.log(`${rank.toString().padStart(2)}. ${team.name.padEnd(20)} | Total: ${team.totalPointsAllowed.toString().padStart(4)} pts | Games: ${team.gamesPlayed.toString().padStart(3)} | Avg: ${team.avgPointsAllowedPerGame} pts/game`);
+                    console.log(`${rank.toString().padStart(2)}. ${team.name.padEnd(20)} | Total: ${team.totalPointsAllowed.toString().padStart(4)} pts | Games: ${team.gamesPlayed.toString().padStart(3)} | Avg: ${team.avgPointsAllowedPerGame} pts/game | Per 90: ${team.pointsAllowedPer90} | Home: ${team.home.avgPointsAllowedPerGame} | Away: ${team.away.avgPointsAllowedPerGame}`);
                 });
             } else {
                 console.log('No data available for this position.');
@@ -208,6 +390,16 @@ class TeamDefenseAnalyzer {
             console.log(''); // Empty line for spacing
         });
 
+        if (results.expectedGoalsConceded && results.expectedGoalsConceded.length > 0) {
+            console.log('📉 EXPECTED GOALS CONCEDED (xGC):');
+            console.log('-'.repeat(50));
+            results.expectedGoalsConceded.forEach((team, index) => {
+                const rank = index + 1;
+                console.log(`${rank.toString().padStart(2)}. ${team.name.padEnd(20)} | xGC: ${team.xGCPerGame}/game | Conceded: ${team.goalsConcededPerGame}/game | Actual - expected: ${team.concededVsExpected}`);
+            });
+            console.log('');
+        }
+
         // Summary section
         console.log('='.repeat(80));
         console.log('SUMMARY - MOST VULNERABLE TEAMS BY POSITION');
@@ -233,7 +425,8 @@ class TeamDefenseAnalyzer {
         return teams.slice(0, limit).map(team => ({
             name: team.name,
             totalPoints: team.totalPointsAllowed,
-            avgPoints: team.avgPointsAllowedPerGame
+            avgPoints: team.avgPointsAllowedPerGame,
+            pointsPer90: team.pointsAllowedPer90
         }));
     }
 }
@@ -247,6 +440,27 @@ class PlayerFixtureAnalyzer {
         this.allPlayersData = null;
         this.fixtures = null;
         this.bootstrapData = null;
+        this.projectionModel = null;
+        this.availabilityMode = 'exclude';
+        this.minutesModel = null;
+    }
+
+    /**
+     * Attach an ExpectedPointsModel so recommendations can rank by xP (rankBy = 'xp')
+     */
+    setProjectionModel(model) {
+        this.projectionModel = model;
+    }
+
+    /**
+     * How recommendations treat injured and doubtful players:
+     * 'exclude' (default), 'weight' by chance of playing, or 'ignore'
+     */
+    setAvailabilityMode(mode) {
+        if (!AVAILABILITY_MODES.includes(mode)) {
+            throw new Error(`Unknown availability mode "${mode}" (use ${AVAILABILITY_MODES.join(', ')})`);
+        }
+        this.availabilityMode = mode;
     }
 
     /**
@@ -255,24 +469,30 @@ class PlayerFixtureAnalyzer {
     async initialize() {
         console.log('Initializing Player Fixture Analyzer...');
         
-        // Load bootstrap data
-        const response = await fetch('https://fantasy.premierleague.com/api/bootstrap-static/');
-        const data = await response.json();
-        
-        this.bootstrapData = data;
-        this.allPlayersData = data.elements;
-        
-        // Load fixtures
-        const fixturesResponse = await fetch('https://fantasy.premierleague.com/api/fixtures/');
-        this.fixtures = await fixturesResponse.json();
+        // Load bootstrap data and fixtures
+        const data = await getBootstrapData();
+        this.useData(data, await getAllFixtures());
         
         console.log('Player Fixture Analyzer initialized!');
     }
 
+    /**
+     * Use already-loaded data instead of fetching it (e.g. a reconstructed past gameweek)
+     */
+    useData(bootstrapData, fixtures) {
+        this.bootstrapData = bootstrapData;
+        this.allPlayersData = bootstrapData.elements;
+        this.minutesModel = new MinutesModel(bootstrapData); // Season totals until histories are loaded
+        this.fixtures = fixtures;
+        this.calendar = new FixtureCalendar(fixtures, bootstrapData.teams, bootstrapData.events);
+        return this;
+    }
+
     /**
      * Get vulnerability score for a team against a specific position
+     * venue ('home' or 'away', from the defending team's side) uses that venue's shrunk average
      */
-    getVulnerabilityScore(teamId, position) {
+    getVulnerabilityScore(teamId, position, venue = null) {
         const positionMap = {
             1: 'goalkeepers',
             2: 'defenders', 
@@ -288,51 +508,58 @@ class PlayerFixtureAnalyzer {
         
         if (!teamData) return 0;
         
-        // Convert average points to a 0-10 vulnerability score
-        const avgPoints = parseFloat(teamData.avgPointsAllowedPerGame);
-        return Math.min(10, Math.max(0, avgPoints * 2.5)); // Scale 0-4 pts/game to 0-10 score
+        // Convert points per 90 (per player in that position) to a 0-10 vulnerability score,
+        // scaled so the league-average team for the position scores 5 and twice that scores 10
+        const pointsPer90 = venue && teamData[venue]
+            ? parseFloat(teamData[venue].adjustedPointsAllowedPer90)
+            : parseFloat(teamData.pointsAllowedPer90);
+        const leagueAverage = positionData.reduce((sum, team) => sum + parseFloat(team.pointsAllowedPer90), 0) /
+            positionData.length;
+        if (!(leagueAverage > 0)) return 0;
+        return Math.min(10, Math.max(0, 5 * pointsPer90 / leagueAverage));
     }
 
     /**
      * Get current gameweek
      */
     getCurrentGameweek() {
-        // Find the current gameweek from fixtures
-        const currentDate = new Date();
-        const upcomingFixtures = this.fixtures
-            .filter(f => f.finished === false && f.started === false)
-            .sort((a, b) => new Date(a.kickoff_time) - new Date(b.kickoff_time));
-        
-        if (upcomingFixtures.length > 0) {
-            return upcomingFixtures[0].event;
-        }
-        
-        // Fallback - find the highest gameweek number
-        const maxGameweek = Math.max(...this.fixtures.map(f => f.event || 0));
-        return Math.min(38, maxGameweek + 1);
+        // The calendar skips postponed fixtures that have no gameweek yet
+        return this.calendar.getNextGameweek();
+    }
+
+    /**
+     * Team x gameweek fixture grid for the next few gameweeks
+     */
+    getGameweekGrid(gameweeksAhead = 5) {
+        return this.calendar.getTeamGrid(this.getCurrentGameweek(), gameweeksAhead);
+    }
+
+    /**
+     * Upcoming gameweeks where any team blanks or plays twice
+     */
+    getBlankAndDoubleGameweeks(gameweeksAhead = 38) {
+        return this.calendar.getBlankAndDoubleGameweeks(this.getCurrentGameweek(), gameweeksAhead);
+    }
+
+    /**
+     * Fixtures that have been postponed and not yet given a gameweek
+     */
+    getUnscheduledFixtures() {
+        return this.calendar.getUnscheduledFixtures();
     }
 
     /**
-     * Check if player is a regular starter based on recent playing time
-     * A player is considered a regular starter if they average 60+ minutes per game
+     * Check if player is a regular starter, from the minutes model's start record
      */
     isRegularStarter(player) {
-        // Require minimum games played to have enough data
-        if (player.minutes < 450) return false; // At least 5 full games worth of minutes
-        
-        // Calculate average minutes per game
-        // We can estimate games played from total minutes and form
-        // If a player has high minutes but low form, they might not be playing recently
-        const avgMinutesPerGame = player.minutes / Math.max(1, Math.ceil(player.minutes / 90));
-        
-        // Check recent form - form is calculated from last 5 games
-        // If form is 0, player hasn't played recently or hasn't scored
-        // We want players who are actually playing, so form should exist
-        const hasRecentPlayingTime = parseFloat(player.form) !== 0 || player.minutes >= 1800; // Form exists OR played 20 full games
-        
-        // Player should average at least 60 minutes per appearance to be a regular starter
-        // Also check they've played recently (form isn't zero, unless they have massive minutes suggesting they're established)
-        return avgMinutesPerGame >= 60 && hasRecentPlayingTime;
+        return this.minutesModel.isRegularStarter(player);
+    }
+
+    /**
+     * Share a MinutesModel (e.g. one with histories already loaded) instead of the default
+     */
+    setMinutesModel(model) {
+        this.minutesModel = model;
     }
 
     /**
@@ -343,10 +570,13 @@ class PlayerFixtureAnalyzer {
         if (!player) return [];
 
         const currentGameweek = this.getCurrentGameweek();
-        const targetGameweeks = Array.from(
-            {length: gameweeksAhead}, 
-            (_, i) => currentGameweek + i
-        );
+        const targetGameweeks = this.calendar.getGameweeks(currentGameweek, gameweeksAhead);
+
+        // Count fixtures per gameweek so doubles are flagged explicitly
+        const fixturesPerGameweek = {};
+        targetGameweeks.forEach(gameweek => {
+            fixturesPerGameweek[gameweek] = this.calendar.getTeamFixtures(player.team, gameweek).length;
+        });
 
         return this.fixtures
             .filter(fixture => {
@@ -360,28 +590,59 @@ class PlayerFixtureAnalyzer {
                 const opponent = this.bootstrapData.teams.find(t => t.id === opponentId);
                 
                 return {
+                    fixtureId: fixture.id,
                     gameweek: fixture.event,
                     opponent: opponent ? opponent.name : 'Unknown',
                     opponentId: opponentId,
                     isHome: isHome,
                     difficulty: isHome ? fixture.team_h_difficulty : fixture.team_a_difficulty,
-                    vulnerabilityScore: this.getVulnerabilityScore(opponentId, player.element_type)
+                    isDouble: fixturesPerGameweek[fixture.event] > 1,
+                    // Opponent defends away when the player is at home
+                    vulnerabilityScore: this.getVulnerabilityScore(opponentId, player.element_type, isHome ? 'away' : 'home')
                 };
             })
             .sort((a, b) => a.gameweek - b.gameweek);
     }
 
+    /**
+     * Project a player's points over the next few gameweeks from form and fixture vulnerability
+     * Each fixture is worth the player's form, scaled by how vulnerable the opponent is
+     * (a vulnerability score of 5 is treated as an average opponent)
+     */
+    getProjectedPoints(playerId, gameweeksAhead = 1) {
+        const byGameweek = this.getProjectedPointsByGameweek(playerId, gameweeksAhead);
+        return Object.values(byGameweek).reduce((sum, points) => sum + points, 0);
+    }
+
+    /**
+     * Projected points split by gameweek, e.g. { 9: 5.2, 10: 3.8 }
+     */
+    getProjectedPointsByGameweek(playerId, gameweeksAhead = 1) {
+        const player = this.allPlayersData.find(p => p.id === playerId);
+        if (!player) return {};
+
+        const form = parseFloat(player.form) || 0;
+        const byGameweek = {};
+
+        this.getPlayerUpcomingFixtures(playerId, gameweeksAhead).forEach(fixture => {
+            const multiplier = fixture.vulnerabilityScore > 0 ? fixture.vulnerabilityScore / 5 : 1;
+            byGameweek[fixture.gameweek] = (byGameweek[fixture.gameweek] || 0) + form * multiplier;
+        });
+
+        return byGameweek;
+    }
+
     /**
      * Analyze and rank players for different time horizons
      */
-    getPlayerRecommendations(timeHorizons = [1, 3, 5]) {
+    getPlayerRecommendations(timeHorizons = [1, 3, 5], rankBy = 'vulnerability') {
         console.log('Analyzing player recommendations based on upcoming fixtures...\n');
         
         const recommendations = {};
         
         timeHorizons.forEach(weeks => {
             console.log(`Analyzing ${weeks} week horizon...`);
-            recommendations[weeks] = this.analyzeTimeHorizon(weeks);
+            recommendations[weeks] = this.analyzeTimeHorizon(weeks, rankBy);
         });
         
         return recommendations;
@@ -389,12 +650,18 @@ class PlayerFixtureAnalyzer {
 
     /**
      * Analyze players for a specific time horizon
+     * rankBy: 'vulnerability' (fixture run) or 'xp' (expected points, needs a projection model)
      */
-    analyzeTimeHorizon(gameweeksAhead) {
-        const playerAnalysis = this.allPlayersData
-            .filter(player => player.status === 'a' && this.isRegularStarter(player)) // Available and currently playing regularly
+    analyzeTimeHorizon(gameweeksAhead, rankBy = 'vulnerability') {
+        if (rankBy === 'xp' && !this.projectionModel) {
+            throw new Error("Ranking by 'xp' needs a projection model, see setProjectionModel()");
+        }
+
+        const playerAnalysis = filterByAvailability(this.allPlayersData, this.availabilityMode)
+            .filter(player => this.isRegularStarter(player)) // Currently playing regularly
             .map(player => {
                 const fixtures = this.getPlayerUpcomingFixtures(player.id, gameweeksAhead);
+                const targetGameweeks = this.calendar.getGameweeks(this.getCurrentGameweek(), gameweeksAhead);
                 const totalVulnerability = fixtures.reduce((sum, fixture) => sum + fixture.vulnerabilityScore, 0);
                 const avgVulnerability = fixtures.length > 0 ? totalVulnerability / fixtures.length : 0;
                 
@@ -409,10 +676,18 @@ class PlayerFixtureAnalyzer {
                     totalPoints: player.total_points,
                     form: parseFloat(player.form),
                     fixturesCount: fixtures.length,
+                    // A double counts both fixtures in the totals; blanks contribute nothing
+                    doubleGameweeks: [...new Set(fixtures.filter(f => f.isDouble).map(f => f.gameweek))],
+                    blankGameweeks: targetGameweeks.filter(gw => !fixtures.some(f => f.gameweek === gw)),
                     totalVulnerabilityScore: totalVulnerability.toFixed(2),
                     avgVulnerabilityScore: avgVulnerability.toFixed(2),
                     fixtures: fixtures,
-                    selectedBy: parseFloat(player.selected_by_percent)
+                    selectedBy: parseFloat(player.selected_by_percent),
+                    availability: getAvailability(player).label,
+                    availabilityWeight: getAvailabilityWeight(player, this.availabilityMode),
+                    ...(rankBy === 'xp' && {
+                        expectedPoints: parseFloat(this.projectionModel.getExpectedPoints(player.id, gameweeksAhead).toFixed(2))
+                    })
                 };
             })
             .filter(player => player.fixturesCount > 0); // Only players with fixtures
@@ -425,11 +700,14 @@ class PlayerFixtureAnalyzer {
             'Forward': playerAnalysis.filter(p => p.positionId === 4)
         };
 
-        // Sort each position by total vulnerability score (descending)
+        // Sort each position by total vulnerability score (descending), or by xP when requested
         Object.keys(positions).forEach(position => {
             positions[position].sort((a, b) => {
-                // Primary sort: total vulnerability score
-                const scoreDiff = parseFloat(b.totalVulnerabilityScore) - parseFloat(a.totalVulnerabilityScore);
+                if (rankBy === 'xp') return b.expectedPoints - a.expectedPoints;
+
+                // Primary sort: total vulnerability score (scaled by chance of playing in 'weight' mode)
+                const scoreDiff = parseFloat(b.totalVulnerabilityScore) * b.availabilityWeight -
+                    parseFloat(a.totalVulnerabilityScore) * a.availabilityWeight;
                 if (Math.abs(scoreDiff) > 0.5) return scoreDiff;
                 
                 // Secondary sort: form
@@ -448,6 +726,33 @@ class PlayerFixtureAnalyzer {
         return positions[elementType] || 'Unknown';
     }
 
+    /**
+     * Display upcoming blank and double gameweeks and unscheduled fixtures
+     */
+    displayBlankAndDoubleGameweeks(gameweeksAhead = 38) {
+        console.log('='.repeat(80));
+        console.log('BLANK AND DOUBLE GAMEWEEKS');
+        console.log('='.repeat(80));
+
+        const specialGameweeks = this.getBlankAndDoubleGameweeks(gameweeksAhead);
+        if (specialGameweeks.length === 0) {
+            console.log('No blank or double gameweeks scheduled.');
+        }
+
+        specialGameweeks.forEach(gw => {
+            console.log(`\nGW${gw.gameweek} (${gw.fixtureCount} fixtures)`);
+            if (gw.isDouble) console.log(`   Doubles: ${gw.doubleTeams.join(', ')}`);
+            if (gw.isBlank) console.log(`   Blanks: ${gw.blankTeams.join(', ')}`);
+        });
+
+        const unscheduled = this.getUnscheduledFixtures();
+        if (unscheduled.length > 0) {
+            console.log('\nUnscheduled fixtures:');
+            unscheduled.forEach(f => console.log(`   ${f.homeTeam} vs ${f.awayTeam}`));
+        }
+        console.log('');
+    }
+
     /**
      * Display player recommendations
      */
@@ -474,8 +779,11 @@ class PlayerFixtureAnalyzer {
                     const rank = index + 1;
                     console.log(`${rank}. ${player.webName.padEnd(18)} | ${player.team.padEnd(12)} | £${player.cost.toFixed(1)}`);
                     
-                    // Show fixtures
-                    console.log(`   Fixtures: ${player.fixtures.map(f => f.opponent).join(', ')}`);
+                    // Show fixtures, marking doubles and blanks
+                    console.log(`   Fixtures: ${player.fixtures.map(f => f.opponent + (f.isDouble ? ' (DGW)' : '')).join(', ')}`);
+                    if (player.blankGameweeks.length > 0) {
+                        console.log(`   Blanks: ${player.blankGameweeks.map(gw => `GW${gw}`).join(', ')}`);
+                    }
                     console.log(`   Form: ${player.form} | Ownership: ${player.selectedBy}%\n`);
                 });
             });
@@ -504,13 +812,14 @@ class PlayerFixtureAnalyzer {
 
 /**
  * Main execution function
+ * options: { window, halfLife } weighting for the defense stats
  */
-async function runTeamDefenseAnalysis() {
+async function runTeamDefenseAnalysis(options = {}) {
     try {
         const analyzer = new TeamDefenseAnalyzer();
         await analyzer.initialize();
         
-        const results = await analyzer.analyzeTeamDefense();
+        const results = await analyzer.analyzeTeamDefense(options);
         analyzer.displayResults(results);
         
         return results;
@@ -524,12 +833,12 @@ async function runTeamDefenseAnalysis() {
 /**
  * Run complete analysis including player recommendations
  */
-async function runCompleteAnalysis() {
+async function runCompleteAnalysis(options = {}) {
     try {
         // First run the team defense analysis
         const analyzer = new TeamDefenseAnalyzer();
         await analyzer.initialize();
-        const defenseResults = await analyzer.analyzeTeamDefense();
+        const defenseResults = await analyzer.analyzeTeamDefense(options);
         analyzer.displayResults(defenseResults);
         
         // Then run player recommendations
@@ -539,6 +848,8 @@ async function runCompleteAnalysis() {
         
         const playerAnalyzer = new PlayerFixtureAnalyzer(defenseResults);
         await playerAnalyzer.initialize();
+        await playerAnalyzer.minutesModel.loadHistories(); // Cached by the defense analysis above
+        playerAnalyzer.displayBlankAndDoubleGameweeks();
         
         const recommendations = playerAnalyzer.getPlayerRecommendations([1, 3, 5]);
         playerAnalyzer.displayRecommendations(recommendations);
@@ -0,0 +1,349 @@
+/**
+ * FPL Transfer Planner
+ * Recommends a sequence of transfers for an existing squad over the next few gameweeks
+ */
+
+const { TeamDefenseAnalyzer, PlayerFixtureAnalyzer } = require('./team_analysis');
+const { SquadOptimizer, MAX_PER_CLUB } = require('./squad_optimizer');
+
+const HIT_COST = 4; // Points deducted per transfer beyond the free ones
+const MAX_FREE_TRANSFERS = 5; // Free transfers can be banked up to this many
+const MAX_HORIZON = 6; // Sequences grow exponentially with the horizon, so plans stop here
+const DEFAULT_MAX_HITS = 2; // Hits a plan may take across the whole horizon
+
+/**
+ * Selling price in tenths: you keep half of any profit, rounded down
+ */
+function getSellingPrice(purchaseCost, nowCost) {
+    if (nowCost <= purchaseCost) return nowCost;
+    return purchaseCost + Math.floor((nowCost - purchaseCost) / 2);
+}
+
+class TransferPlanner {
+    /**
+     * fixtureAnalyzer: an initialized PlayerFixtureAnalyzer used to project points per gameweek
+     * options.projectPlayer(playerId, gameweeksAhead): alternative projection returning { gameweek: points },
+     * e.g. (id, weeks) => xpModel.getExpectedPointsByGameweek(id, weeks)
+     */
+    constructor(fixtureAnalyzer, options = {}) {
+        this.fixtureAnalyzer = fixtureAnalyzer;
+        this.players = fixtureAnalyzer.allPlayersData;
+        this.teams = fixtureAnalyzer.bootstrapData.teams;
+        this.projectPlayer = options.projectPlayer ||
+            ((playerId, gameweeksAhead) => fixtureAnalyzer.getProjectedPointsByGameweek(playerId, gameweeksAhead));
+        this.maxFreeTransfers = options.maxFreeTransfers || MAX_FREE_TRANSFERS;
+        this.lineupPicker = new SquadOptimizer(this.players, { teams: this.teams });
+    }
+
+    /**
+     * Plan transfers for a squad
+     * squad: [{ id, purchasePrice }] with purchasePrice in £m (defaults to the current price)
+     * Options: bank (£m), freeTransfers, horizon (gameweeks, up to MAX_HORIZON), maxTransfersPerWeek,
+     * maxHits (hits allowed over the horizon), limit (plans returned)
+     */
+    planTransfers(squad, options = {}) {
+        const {
+            bank = 0,
+            freeTransfers = 1,
+            horizon = 3,
+            maxTransfersPerWeek = 2,
+            maxHits = DEFAULT_MAX_HITS,
+            limit = 5
+        } = options;
+
+        if (squad.length !== 15) {
+            throw new Error(`A squad needs 15 players, got ${squad.length}`);
+        }
+        if (!Number.isInteger(horizon) || horizon < 1 || horizon > MAX_HORIZON) {
+            throw new Error(`Transfer plans cover 1 to ${MAX_HORIZON} gameweeks, got ${horizon}`);
+        }
+
+        const startGameweek = this.fixtureAnalyzer.getCurrentGameweek();
+        this.gameweeks = this.fixtureAnalyzer.calendar.getGameweeks(startGameweek, horizon);
+        this.buildProjections(horizon);
+
+        const initialSquad = squad.map(entry => {
+            const player = this.players.find(p => p.id === entry.id);
+            if (!player) throw new Error(`Player with ID ${entry.id} not found`);
+
+            return {
+                player,
+                purchaseCost: entry.purchasePrice !== undefined
+                    ? Math.round(entry.purchasePrice * 10)
+                    : player.now_cost
+            };
+        });
+
+        const initialState = {
+            squad: initialSquad,
+            bank: Math.round(bank * 10),
+            freeTransfers
+        };
+
+        // Try every combination of transfer counts per gameweek within the hit budget, e.g. [1, 0, 2]
+        const plans = this.getTransferSequences(this.gameweeks.length, maxTransfersPerWeek, freeTransfers, maxHits)
+            .map(sequence => this.simulatePlan(initialState, sequence));
+
+        const rollPlan = plans.find(plan => plan.totalTransfers === 0);
+        plans.forEach(plan => {
+            plan.gainVsRoll = parseFloat((plan.projectedPoints - rollPlan.projectedPoints).toFixed(2));
+        });
+
+        // Drop plans whose extra transfers found nothing worth making
+        const uniquePlans = [];
+        const seen = new Set();
+        plans
+            .sort((a, b) => b.projectedPoints - a.projectedPoints || a.totalTransfers - b.totalTransfers)
+            .forEach(plan => {
+                const key = plan.gameweeks
+                    .map(gw => gw.transfers.map(t => `${t.out.id}>${t.in.id}`).join(','))
+                    .join('|');
+                if (!seen.has(key)) {
+                    seen.add(key);
+                    uniquePlans.push(plan);
+                }
+            });
+
+        return {
+            startGameweek,
+            horizon,
+            roll: rollPlan,
+            plans: uniquePlans.slice(0, limit)
+        };
+    }
+
+    /**
+     * Cache projected points per player per gameweek for the planning window
+     */
+    buildProjections(horizon) {
+        this.projections = {};
+        this.players.forEach(player => {
+            this.projections[player.id] = this.projectPlayer(player.id, horizon);
+        });
+    }
+
+    getPoints(playerId, gameweek) {
+        return (this.projections[playerId] && this.projections[playerId][gameweek]) || 0;
+    }
+
+    /**
+     * Projected points for a player from a gameweek to the end of the window
+     */
+    getRemainingPoints(playerId, fromGameweek) {
+        return this.gameweeks
+            .filter(gw => gw >= fromGameweek)
+            .reduce((sum, gw) => sum + this.getPoints(playerId, gw), 0);
+    }
+
+    /**
+     * Sequences of per-gameweek transfer counts that take at most maxHits hits,
+     * rolling free transfers the same way simulatePlan does
+     */
+    getTransferSequences(horizon, maxPerWeek, freeTransfers = 1, maxHits = DEFAULT_MAX_HITS) {
+        let states = [{ sequence: [], freeTransfers, hits: 0 }];
+        for (let i = 0; i < horizon; i++) {
+            const next = [];
+            states.forEach(state => {
+                for (let count = 0; count <= maxPerWeek; count++) {
+                    const hits = state.hits + Math.max(0, count - state.freeTransfers);
+                    if (hits > maxHits) break;
+
+                    next.push({
+                        sequence: [...state.sequence, count],
+                        freeTransfers: Math.min(this.maxFreeTransfers, Math.max(0, state.freeTransfers - count) + 1),
+                        hits
+                    });
+                }
+            });
+            states = next;
+        }
+        return states.map(state => state.sequence);
+    }
+
+    /**
+     * Play out a transfer sequence, picking the best transfers available each week
+     */
+    simulatePlan(initialState, sequence) {
+        let squad = [...initialState.squad];
+        let bank = initialState.bank;
+        let freeTransfers = initialState.freeTransfers;
+        let projectedPoints = 0;
+        let hitCost = 0;
+        let totalTransfers = 0;
+
+        const gameweeks = this.gameweeks.map((gameweek, index) => {
+            const transfers = [];
+
+            for (let i = 0; i < sequence[index]; i++) {
+                const transfer = this.findBestTransfer(squad, bank, gameweek);
+                if (!transfer) break;
+
+                squad = squad.map(entry => (entry === transfer.outEntry ? transfer.inEntry : entry));
+                bank += transfer.sellPrice - transfer.inEntry.purchaseCost;
+                transfers.push(transfer);
+            }
+
+            const hits = Math.max(0, transfers.length - freeTransfers);
+            const points = this.getLineupPoints(squad, gameweek);
+
+            const summary = {
+                gameweek,
+                freeTransfers,
+                transfers: transfers.map(t => ({
+                    out: { id: t.outEntry.player.id, webName: t.outEntry.player.web_name, sellPrice: t.sellPrice / 10 },
+                    in: { id: t.inEntry.player.id, webName: t.inEntry.player.web_name, cost: t.inEntry.purchaseCost / 10 },
+                    gain: parseFloat(t.gain.toFixed(2))
+                })),
+                hits,
+                points: parseFloat(points.toFixed(2)),
+                bank: bank / 10
+            };
+
+            // Unused free transfers roll over, up to the cap
+            freeTransfers = Math.min(this.maxFreeTransfers, Math.max(0, freeTransfers - transfers.length) + 1);
+            projectedPoints += points - hits * HIT_COST;
+            hitCost += hits * HIT_COST;
+            totalTransfers += transfers.length;
+
+            return summary;
+        });
+
+        return {
+            sequence,
+            gameweeks,
+            totalTransfers,
+            hitCost,
+            projectedPoints: parseFloat(projectedPoints.toFixed(2)),
+            finalSquad: squad.map(entry => entry.player.id)
+        };
+    }
+
+    /**
+     * Best single like-for-like transfer by points gained over the rest of the window
+     */
+    findBestTransfer(squad, bank, gameweek) {
+        const ownedIds = new Set(squad.map(entry => entry.player.id));
+        const clubCounts = {};
+        squad.forEach(entry => {
+            clubCounts[entry.player.team] = (clubCounts[entry.player.team] || 0) + 1;
+        });
+
+        let best = null;
+
+        squad.forEach(outEntry => {
+            const outPlayer = outEntry.player;
+            const sellPrice = getSellingPrice(outEntry.purchaseCost, outPlayer.now_cost);
+            const funds = bank + sellPrice;
+            const outPoints = this.getRemainingPoints(outPlayer.id, gameweek);
+
+            this.players.forEach(inPlayer => {
+                if (inPlayer.element_type !== outPlayer.element_type) return;
+                if (ownedIds.has(inPlayer.id) || inPlayer.status !== 'a') return;
+                if (inPlayer.now_cost > funds) return;
+
+                const clubCount = (clubCounts[inPlayer.team] || 0) - (outPlayer.team === inPlayer.team ? 1 : 0);
+                if (clubCount >= MAX_PER_CLUB) return;
+
+                const gain = this.getRemainingPoints(inPlayer.id, gameweek) - outPoints;
+                if (gain > 0 && (!best || gain > best.gain)) {
+                    best = {
+                        outEntry,
+                        inEntry: { player: inPlayer, purchaseCost: inPlayer.now_cost },
+                        sellPrice,
+                        gain
+                    };
+                }
+            });
+        });
+
+        return best;
+    }
+
+    /**
+     * Points from the best starting XI plus captain for one gameweek
+     */
+    getLineupPoints(squad, gameweek) {
+        const candidates = squad.map(entry => ({
+            player: entry.player,
+            id: entry.player.id,
+            position: entry.player.element_type,
+            team: entry.player.team,
+            cost: entry.player.now_cost,
+            score: this.getPoints(entry.player.id, gameweek)
+        }));
+
+        const { startingXI } = this.lineupPicker.pickStartingXI(candidates);
+        const total = startingXI.reduce((sum, c) => sum + c.score, 0);
+        const captain = startingXI.length > 0 ? Math.max(...startingXI.map(c => c.score)) : 0;
+
+        return total + captain;
+    }
+
+    /**
+     * Display transfer plans
+     */
+    displayPlans(result) {
+        console.log('='.repeat(80));
+        console.log(`TRANSFER PLANS FROM GAMEWEEK ${result.startGameweek} (${result.horizon} WEEKS)`);
+        console.log('='.repeat(80));
+        console.log(`Rolling transfers: ${result.roll.projectedPoints} projected points\n`);
+
+        result.plans.forEach((plan, index) => {
+            const gain = plan.gainVsRoll >= 0 ? `+${plan.gainVsRoll}` : `${plan.gainVsRoll}`;
+            console.log(`${index + 1}. ${plan.projectedPoints} pts (${gain} vs rolling) | ${plan.totalTransfers} transfers | -${plan.hitCost} in hits`);
+
+            plan.gameweeks.forEach(gw => {
+                if (gw.transfers.length === 0) {
+                    console.log(`   GW${gw.gameweek}: roll (${gw.freeTransfers} FT available)`);
+                    return;
+                }
+                const moves = gw.transfers.map(t => `${t.out.webName} -> ${t.in.webName}`).join(', ');
+                const hits = gw.hits > 0 ? ` | -${gw.hits * HIT_COST}` : '';
+                console.log(`   GW${gw.gameweek}: ${moves}${hits}`);
+            });
+            console.log('');
+        });
+    }
+}
+
+/**
+ * Example usage: node transfer_planner.js <id,id,...> [bank] [freeTransfers] [horizon]
+ */
+async function runTransferPlanner(squadIds, options = {}) {
+    try {
+        const defenseAnalyzer = new TeamDefenseAnalyzer();
+        await defenseAnalyzer.initialize();
+        const defenseResults = await defenseAnalyzer.analyzeTeamDefense();
+
+        const fixtureAnalyzer = new PlayerFixtureAnalyzer(defenseResults);
+        await fixtureAnalyzer.initialize();
+
+        const planner = new TransferPlanner(fixtureAnalyzer);
+        const result = planner.planTransfers(squadIds.map(id => ({ id })), options);
+        planner.displayPlans(result);
+
+        return result;
+
+    } catch (error) {
+        console.error('Transfer planning failed:', error.message);
+        throw error;
+    }
+}
+
+module.exports = {
+    TransferPlanner,
+    getSellingPrice,
+    runTransferPlanner,
+    HIT_COST,
+    MAX_HORIZON
+};
+
+// Run planner if this file is executed directly
+if (require.main === module) {
+    const [ids = '', bank = '0', freeTransfers = '1', horizon = '3'] = process.argv.slice(2);
+    runTransferPlanner(ids.split(',').filter(Boolean).map(Number), {
+        bank: parseFloat(bank),
+        freeTransfers: parseInt(freeTransfers, 10),
+        horizon: parseInt(horizon, 10)
+    });
+}